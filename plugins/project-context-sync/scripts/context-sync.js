@@ -0,0 +1,778 @@
+#!/usr/bin/env node
+/**
+ * context-sync.js
+ *
+ * Command-line interface for managing feature work items outside of hooks.
+ * Reuses the hook scripts' feature, dependency and verification logic, so
+ * status changes are validated and stamped the same way the hooks do.
+ *
+ * Usage:
+ *   node context-sync.js <command> [args] [--feature <slug>] [--session <id>] [--json]
+ *
+ * Commands:
+ *   status                     Overview of every feature and the current item
+ *   next                       The next work item with its acceptance criteria
+ *   start <id>                 Mark an item in-progress (dependencies must be complete)
+ *   complete <id>              Run required verification, then mark complete
+ *                              (--no-verify to skip, --force to ignore failures)
+ *   block <id> --reason <why>  Mark an item blocked
+ *   skip <id> [--reason <why>] Mark an item skipped
+ *   verify [id]                Run verification for an item (default: in-progress item)
+ *   progress                   Progress of every open feature with critical path,
+ *                              and each item's commits (Work-Item trailer) and files
+ *   sessions [--limit <n>]     Recent sessions from the session ledger
+ *   doc                        Status, Recent Work, Next Steps and Blockers parsed
+ *                              from PROGRESS.md
+ *   doc log <summary> [detail...]  Add a Recent Work entry (newest first)
+ *   doc status <status>        Set the Current State **Status** field
+ *   doc steps <step> [step...] Replace the Next Steps list
+ *   doc blocker <text>         Add a blocker
+ *   archive [--max-entries <n>] [--max-age <days>]
+ *                              Move old Recent Work entries to .claude/progress-archive/
+ *                              (defaults: recentWorkMaxEntries, recentWorkMaxAgeDays)
+ *   search <text> [--limit <n>]
+ *                              Search Recent Work in PROGRESS.md and the archive
+ *   doctor                     Effective configuration with the source of each
+ *                              value (defaults, ~/.claude, project, local file,
+ *                              CONTEXT_SYNC_* variables) and config problems
+ *   packages                   Every monorepo package's active feature and next item
+ *   feature use <slug>         Make a feature the active one (slug or feature name)
+ *
+ * complete and block also add the item's Recent Work entry or blocker to
+ * PROGRESS.md when it exists (autoUpdateProgress).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadFeatures,
+  slugify,
+  getActiveSlug,
+  setActiveSlug,
+  getCurrentWorkItem,
+  getNextWorkItem,
+  getFeatureProgress,
+  getItems,
+  isOpenFeature,
+  getInvalidFeatures,
+  renderProgressBar
+} = require('./lib/features');
+const {
+  ENV_PREFIX,
+  DEFAULT_SOURCE,
+  loadConfig,
+  readConfig,
+  getSettings
+} = require('./lib/config');
+const { formatError } = require('./lib/schema');
+const { analyzeDependencies, describeProblems } = require('./lib/dependency-graph');
+const { runVerifications } = require('./lib/verification');
+const {
+  loadHistory,
+  recordRuns,
+  annotateFailures,
+  formatClassification
+} = require('./lib/verification-history');
+const { getHead, isGitRepo } = require('./lib/git');
+const { getCommits, groupByWorkItem, describeCommit } = require('./lib/commits');
+const { findWorkItem, transitionWorkItem } = require('./lib/work-items');
+const { loadSessions, countFeatureSessions } = require('./lib/session-ledger');
+const {
+  serializeProgress,
+  checkSections,
+  readProgress,
+  updateProgress,
+  describeProgress,
+  appendRecentWork,
+  setStatus,
+  replaceNextSteps,
+  addBlocker,
+  recordCompletedItem
+} = require('./lib/progress-file');
+const { archiveRecentWork, searchArchive } = require('./lib/progress-archive');
+const { loadSections, getRequiredSections, getAliases } = require('./lib/progress-sections');
+const {
+  getPlanDir,
+  ensureItemWorktree,
+  getSessionWorkItem,
+  getNextIsolationItem
+} = require('./lib/worktree');
+const {
+  findContextRoot,
+  findWorkspaceRoot,
+  listPackages,
+  summarizePackage,
+  describePackage
+} = require('./lib/workspace');
+
+const projectRoot = findContextRoot();
+const CLAUDE_DIR = path.join(projectRoot, '.claude');
+const STATE_DIR = path.join(CLAUDE_DIR, '.context-state');
+const PROGRESS_FILE = path.join(CLAUDE_DIR, 'PROGRESS.md');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Parse positional arguments and flags
+ */
+function parseArgs(argv) {
+  const args = { positional: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--') &&
+          ['feature', 'session', 'reason', 'limit', 'max-entries', 'max-age'].includes(name)) {
+        args.flags[name] = next;
+        i++;
+      } else {
+        args.flags[name] = true;
+      }
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Resolve the session ID to stamp: --session, CLAUDE_SESSION_ID, or the
+ * session recorded by the SessionStart hook
+ */
+function resolveSessionId(flags) {
+  if (typeof flags.session === 'string') return flags.session;
+  if (process.env.CLAUDE_SESSION_ID) return process.env.CLAUDE_SESSION_ID;
+  try {
+    const sessionFile = path.join(STATE_DIR, 'current-session.json');
+    if (fs.existsSync(sessionFile)) {
+      return JSON.parse(fs.readFileSync(sessionFile, 'utf8')).sessionId || null;
+    }
+  } catch (e) {
+    // No session
+  }
+  return null;
+}
+
+/**
+ * The current work item; under worktree isolation, the one this worktree owns
+ */
+function getCurrent(features, activeSlug, config) {
+  return config.worktreeIsolation
+    ? getSessionWorkItem(features, activeSlug, projectRoot)
+    : getCurrentWorkItem(features, activeSlug);
+}
+
+/**
+ * The next work item; under worktree isolation, items claimed by other
+ * worktrees are passed over
+ */
+function getNext(features, activeSlug, config) {
+  return config.worktreeIsolation
+    ? getNextIsolationItem(features, activeSlug, projectRoot)
+    : getNextWorkItem(features, activeSlug);
+}
+
+/**
+ * Print usage and exit
+ */
+function usage(message) {
+  if (message) console.error(`Error: ${message}\n`);
+  console.error('Usage: context-sync <status|next|start|complete|block|skip|verify|progress|sessions|doc|archive|search|doctor|packages|feature> [id] [options]');
+  console.error('Options: --feature <slug> --session <id> --reason <text> --limit <n> --max-entries <n> --max-age <days> --no-verify --force --json');
+  process.exit(EXIT_USAGE);
+}
+
+/**
+ * Require an item ID argument
+ */
+function requireItemId(args, command) {
+  const itemId = args.positional[1];
+  if (!itemId) usage(`${command} needs a work item ID`);
+  return itemId;
+}
+
+/**
+ * Describe one work item
+ */
+function describeItem(feature, item) {
+  const lines = [];
+  lines.push(`${item.id}: ${item.description} [${item.status}]`);
+  lines.push(`Feature: ${feature.featureList.feature} (${feature.slug})`);
+  lines.push(`Effort: ${item.estimatedEffort || 'not estimated'}`);
+  if (item.acceptanceCriteria && item.acceptanceCriteria.length > 0) {
+    lines.push('Acceptance Criteria:');
+    for (const criterion of item.acceptanceCriteria) lines.push(`  • ${criterion}`);
+  }
+  if (item.verification && item.verification.length > 0) {
+    lines.push('Verification Commands:');
+    for (const v of item.verification) {
+      lines.push(`  • ${v.description || v.command}: \`${v.command}\`${v.optional ? ' (optional)' : ''}`);
+    }
+  }
+  if (item.dependencies && item.dependencies.length > 0) {
+    lines.push(`Dependencies: ${item.dependencies.join(', ')}`);
+  }
+  if (item.notes) lines.push(`Notes: ${item.notes}`);
+  return lines.join('\n');
+}
+
+/**
+ * Run an item's verification commands and record them in history
+ */
+async function verifyItem(feature, item, config, sessionId) {
+  const verifications = Array.isArray(item.verification) ? item.verification : [];
+  const tests = await runVerifications(verifications, {
+    projectRoot,
+    defaultTimeout: config.verificationTimeout,
+    concurrency: config.verificationConcurrency
+  });
+
+  annotateFailures(loadHistory(STATE_DIR), item.id, tests);
+  recordRuns(STATE_DIR, {
+    source: 'cli',
+    feature: feature.slug,
+    itemId: item.id,
+    sessionId,
+    gitHead: getHead(projectRoot)
+  }, tests);
+
+  return {
+    tests,
+    requiredPassed: tests.filter(t => !t.optional).every(t => t.passed)
+  };
+}
+
+/**
+ * Print verification results
+ */
+function printVerification(item, result) {
+  console.log(`Verification for ${item.id}:`);
+  for (const test of result.tests) {
+    const mark = test.passed ? '✅' : (test.optional ? '⚠️' : '❌');
+    const label = formatClassification(test.history);
+    const detail = test.passed ? `${test.duration}ms` : `${test.error}${label ? ` [${label}]` : ''}`;
+    console.log(`  ${mark} ${test.description} (${detail})`);
+  }
+}
+
+/**
+ * status: every feature, the current item and any plan problems
+ */
+function commandStatus(features, activeSlug, flags, config) {
+  const current = getCurrent(features, activeSlug, config);
+  const invalid = getInvalidFeatures(features);
+
+  if (flags.json) {
+    console.log(JSON.stringify({
+      activeFeature: activeSlug,
+      currentWorkItem: current ? { feature: current.feature.slug, id: current.item.id, description: current.item.description } : null,
+      features: features.filter(f => f.featureList).map(f => ({
+        slug: f.slug,
+        feature: f.featureList.feature,
+        status: f.featureList.status,
+        progress: getFeatureProgress(f.featureList)
+      })),
+      schemaErrors: invalid.map(f => ({ file: path.relative(projectRoot, f.file), errors: f.errors.map(formatError) }))
+    }, null, 2));
+    return EXIT_OK;
+  }
+
+  if (features.length === 0) {
+    console.log('No feature plans found. Run /plan-feature to create one.');
+    return EXIT_OK;
+  }
+
+  for (const feature of features.filter(f => f.featureList)) {
+    const progress = getFeatureProgress(feature.featureList);
+    const marker = feature.slug === activeSlug ? '▶' : '•';
+    const counts = progress ? `${progress.completed}/${progress.total} complete` : 'no items';
+    console.log(`${marker} ${feature.featureList.feature} (${feature.slug}): ${feature.featureList.status}, ${counts}`);
+  }
+
+  console.log('');
+  console.log(current
+    ? `Current: ${current.item.id} - ${current.item.description} (${current.feature.slug})`
+    : 'Current: no work item is in-progress');
+
+  for (const feature of invalid) {
+    console.log('');
+    console.log(`⚠️ ${path.relative(projectRoot, feature.file)} is invalid:`);
+    for (const error of feature.errors) console.log(`  - ${formatError(error)}`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * next: the next work item
+ */
+function commandNext(features, activeSlug, flags, config) {
+  const next = getNext(features, activeSlug, config);
+  if (flags.json) {
+    console.log(JSON.stringify(next ? { feature: next.feature.slug, item: next.item } : null, null, 2));
+    return EXIT_OK;
+  }
+  if (!next) {
+    console.log('No eligible work item. Run `context-sync progress` to see what is waiting.');
+    return EXIT_OK;
+  }
+  console.log(describeItem(next.feature, next.item));
+  return EXIT_OK;
+}
+
+/**
+ * Apply a PROGRESS.md edit for a work item change, if the file exists
+ * and autoUpdateProgress is on
+ */
+function recordItemProgress(config, edit) {
+  if (!config.autoUpdateProgress || !fs.existsSync(PROGRESS_FILE)) return;
+  try {
+    updateProgress(PROGRESS_FILE, edit, { aliases: getAliases(loadSections(config)) });
+  } catch (e) {
+    console.error(`Warning: could not update PROGRESS.md: ${e.message}`);
+  }
+}
+
+/**
+ * start/block/skip: a plain status transition
+ */
+function commandTransition(features, args, status, config) {
+  const itemId = requireItemId(args, args.positional[0]);
+  const { feature, item } = findWorkItem(features, itemId, args.flags.feature);
+  const reason = typeof args.flags.reason === 'string' ? args.flags.reason : null;
+
+  if (status === 'blocked' && !reason) usage('block needs --reason');
+
+  const options = {
+    sessionId: resolveSessionId(args.flags),
+    reason,
+    force: !!args.flags.force
+  };
+  if (status === 'in-progress' && config.worktreeIsolation) {
+    const worktree = ensureItemWorktree(projectRoot, item.id, config.worktreeDir);
+    options.parallel = true;
+    options.worktree = { branch: worktree.branch, path: worktree.path };
+  }
+
+  transitionWorkItem(feature, item, status, options);
+  if (status === 'blocked') {
+    recordItemProgress(config, doc => addBlocker(doc, `${item.id}: ${reason}`));
+  }
+  console.log(`${item.id} is now ${status}`);
+  if (options.worktree) {
+    console.log(`Worktree: ${options.worktree.path} (branch ${options.worktree.branch})`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * complete: verify, then mark complete
+ */
+async function commandComplete(features, args, config) {
+  const itemId = requireItemId(args, 'complete');
+  const { feature, item } = findWorkItem(features, itemId, args.flags.feature);
+  const sessionId = resolveSessionId(args.flags);
+
+  if (!args.flags['no-verify'] && Array.isArray(item.verification) && item.verification.length > 0) {
+    const result = await verifyItem(feature, item, config, sessionId);
+    printVerification(item, result);
+    if (!result.requiredPassed && !args.flags.force) {
+      console.error(`\n${item.id} not marked complete: required verification failed (use --force to override)`);
+      return EXIT_FAILED;
+    }
+  }
+
+  transitionWorkItem(feature, item, 'complete', {
+    sessionId,
+    force: !!args.flags.force,
+    completedSessions: countFeatureSessions(loadSessions(STATE_DIR), feature.slug, sessionId)
+  });
+  recordItemProgress(config, doc => recordCompletedItem(doc, item));
+  console.log(`${item.id} is now complete`);
+  return EXIT_OK;
+}
+
+/**
+ * verify: run verification without changing status
+ */
+async function commandVerify(features, activeSlug, args, config) {
+  let target;
+  if (args.positional[1]) {
+    target = findWorkItem(features, args.positional[1], args.flags.feature);
+  } else {
+    target = getCurrent(features, activeSlug, config);
+    if (!target) usage('no work item is in-progress; pass an item ID');
+  }
+
+  if (!Array.isArray(target.item.verification) || target.item.verification.length === 0) {
+    console.log(`${target.item.id} has no verification commands defined`);
+    return EXIT_OK;
+  }
+
+  const result = await verifyItem(target.feature, target.item, config, resolveSessionId(args.flags));
+  if (args.flags.json) {
+    console.log(JSON.stringify({ itemId: target.item.id, ...result }, null, 2));
+  } else {
+    printVerification(target.item, result);
+  }
+  return result.requiredPassed ? EXIT_OK : EXIT_FAILED;
+}
+
+/**
+ * progress: every open feature with progress bar, critical path and problems
+ */
+function commandProgress(features, activeSlug, flags) {
+  const open = features.filter(isOpenFeature);
+  const commitGroups = groupByWorkItem(isGitRepo(projectRoot) ? getCommits(projectRoot) : []);
+  const itemCommits = item => {
+    const group = commitGroups.get(item.id);
+    return group ? { commits: group.commits.map(describeCommit), files: group.files } : { commits: [], files: [] };
+  };
+
+  if (flags.json) {
+    console.log(JSON.stringify(open.map(feature => {
+      const graph = analyzeDependencies(getItems(feature.featureList));
+      return {
+        slug: feature.slug,
+        feature: feature.featureList.feature,
+        status: feature.featureList.status,
+        progress: getFeatureProgress(feature.featureList),
+        criticalPath: graph.criticalPath.path,
+        problems: describeProblems(graph),
+        items: getItems(feature.featureList).map(item => ({
+          id: item.id,
+          status: item.status,
+          ...itemCommits(item)
+        }))
+      };
+    }), null, 2));
+    return EXIT_OK;
+  }
+
+  if (open.length === 0) {
+    console.log('No open features.');
+    return EXIT_OK;
+  }
+
+  for (const feature of open) {
+    const progress = getFeatureProgress(feature.featureList);
+    const graph = analyzeDependencies(getItems(feature.featureList));
+    const marker = feature.slug === activeSlug ? '▶' : '•';
+
+    console.log(`${marker} ${feature.featureList.feature} (${feature.slug}) - ${feature.featureList.status}`);
+    if (progress) {
+      console.log(`  [${renderProgressBar(progress)}] ${progress.completed}/${progress.total} complete, ` +
+        `${progress.inProgress} in-progress, ${progress.pending} pending, ${progress.blocked} blocked, ${progress.skipped} skipped`);
+    }
+    for (const item of getItems(feature.featureList)) {
+      console.log(`    ${item.id} [${item.status}] ${item.description}`);
+      const { commits, files } = itemCommits(item);
+      for (const commit of commits) {
+        console.log(`      ${commit}`);
+      }
+      if (files.length > 0) {
+        console.log(`      files: ${files.join(', ')}`);
+      }
+    }
+    if (graph.criticalPath.path.length > 1) {
+      console.log(`  Critical path: ${graph.criticalPath.path.join(' → ')}`);
+    }
+    for (const problem of describeProblems(graph)) {
+      console.log(`  ⚠️ ${problem}`);
+    }
+    console.log('');
+  }
+  return EXIT_OK;
+}
+
+/**
+ * sessions: recent entries from the session ledger, newest first
+ */
+function commandSessions(flags) {
+  const limit = parseInt(flags.limit, 10) || 10;
+  const sessions = loadSessions(STATE_DIR).reverse().slice(0, limit);
+
+  if (flags.json) {
+    console.log(JSON.stringify(sessions, null, 2));
+    return EXIT_OK;
+  }
+
+  if (sessions.length === 0) {
+    console.log('No sessions recorded.');
+    return EXIT_OK;
+  }
+
+  for (const session of sessions) {
+    const ended = session.endTime ? `ended ${session.endTime} (${session.endReason || 'unknown'})` : 'not ended';
+    console.log(`${session.sessionId}  started ${session.startTime || 'unknown'}, ${ended}`);
+    if (session.workItem) {
+      const outcome = session.verification ? `, verification ${session.verification}` : '';
+      console.log(`  Work item: ${session.workItem.id} (${session.workItem.feature})${outcome}`);
+    }
+    if (session.worktree) {
+      console.log(`  Worktree: ${session.worktree.path} (branch ${session.worktree.branch})`);
+    }
+    console.log(`  Edits: ${session.editCount} across ${session.filesModified.length} file(s)`);
+    for (const subagent of session.subagents) {
+      const summary = subagent.summary ? `: ${subagent.summary}` : '';
+      console.log(`  Subagent ${subagent.agentType || 'subagent'} ${subagent.agentId}: ${subagent.count} edit(s) across ${subagent.files.length} file(s)${summary}`);
+    }
+    const synced = [session.stopSync && 'Stop', session.sessionEndSync && 'SessionEnd'].filter(Boolean);
+    console.log(`  Synced by: ${synced.length > 0 ? synced.join(', ') : 'none'}`);
+    for (const commit of session.commits) {
+      console.log(`  ${commit}`);
+    }
+    console.log('');
+  }
+  return EXIT_OK;
+}
+
+/**
+ * doc: read or edit PROGRESS.md through the parser
+ */
+function commandDoc(args, config) {
+  const [, operation, ...values] = args.positional;
+  const sections = loadSections(config);
+  const aliases = getAliases(sections);
+
+  if (!operation) {
+    const doc = readProgress(PROGRESS_FILE, { aliases });
+    if (!doc) {
+      console.log('No PROGRESS.md found.');
+      return EXIT_FAILED;
+    }
+    const view = describeProgress(doc);
+    view.missingSections = checkSections(serializeProgress(doc), getRequiredSections(sections), aliases).missing;
+    if (args.flags.json) {
+      console.log(JSON.stringify(view, null, 2));
+      return EXIT_OK;
+    }
+    console.log(`Status: ${view.status || 'not set'}`);
+    console.log(`Sections: ${view.sections.join(', ') || 'none'}`);
+    if (view.missingSections.length > 0) {
+      console.log(`Missing required sections: ${view.missingSections.join(', ')}`);
+    }
+    console.log('\nRecent Work:');
+    for (const entry of view.recentWork) console.log(`  ${entry.date || '?'} - ${entry.summary}`);
+    console.log('\nNext Steps:');
+    view.nextSteps.forEach((step, i) => console.log(`  ${i + 1}. ${step}`));
+    console.log('\nBlockers:');
+    for (const blocker of view.blockers) console.log(`  - ${blocker}`);
+    return EXIT_OK;
+  }
+
+  const edits = {
+    log: doc => appendRecentWork(doc, { summary: values[0], details: values.slice(1) }),
+    status: doc => setStatus(doc, values.join(' ')),
+    steps: doc => replaceNextSteps(doc, values),
+    blocker: doc => addBlocker(doc, values.join(' '))
+  };
+  if (!edits[operation]) usage(`unknown doc operation ${operation}`);
+  if (values.length === 0 && operation !== 'steps') usage(`doc ${operation} needs text`);
+
+  updateProgress(PROGRESS_FILE, edits[operation], { aliases });
+  console.log(`Updated ${path.relative(projectRoot, PROGRESS_FILE)}`);
+  return EXIT_OK;
+}
+
+/**
+ * archive: apply Recent Work retention now
+ */
+function commandArchive(flags, config) {
+  const options = {
+    maxEntries: flags['max-entries'] !== undefined ? parseInt(flags['max-entries'], 10) : config.recentWorkMaxEntries,
+    maxAgeDays: flags['max-age'] !== undefined ? Number(flags['max-age']) : config.recentWorkMaxAgeDays,
+    aliases: getAliases(loadSections(config))
+  };
+  if (!Number.isInteger(options.maxEntries) && typeof options.maxAgeDays !== 'number') {
+    usage('archive needs --max-entries or --max-age (or recentWorkMaxEntries/recentWorkMaxAgeDays in config)');
+  }
+
+  const result = archiveRecentWork(CLAUDE_DIR, options);
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return EXIT_OK;
+  }
+  if (result.archived.length === 0) {
+    console.log('Nothing to archive.');
+    return EXIT_OK;
+  }
+  for (const entry of result.archived) {
+    console.log(`Archived ${entry.date} - ${entry.summary}`);
+  }
+  console.log(`\nWritten to ${result.files.map(file => path.relative(projectRoot, file)).join(', ')}`);
+  return EXIT_OK;
+}
+
+/**
+ * search: Recent Work entries in PROGRESS.md and the archive containing
+ * every word of the query
+ */
+function commandSearch(args, config) {
+  const query = args.positional.slice(1).join(' ');
+  if (!query) usage('search needs text to look for');
+  const limit = parseInt(args.flags.limit, 10) || 20;
+  const matches = searchArchive(CLAUDE_DIR, query, { aliases: getAliases(loadSections(config)) }).slice(0, limit);
+
+  if (args.flags.json) {
+    console.log(JSON.stringify(matches, null, 2));
+    return EXIT_OK;
+  }
+  if (matches.length === 0) {
+    console.log(`No Recent Work entries match "${query}".`);
+    return EXIT_FAILED;
+  }
+  for (const match of matches) {
+    console.log(`${path.relative(projectRoot, match.file)}:`);
+    console.log(match.text);
+    console.log('');
+  }
+  return EXIT_OK;
+}
+
+/**
+ * doctor: the config layers, the effective configuration with where each
+ * value came from, and any problems with the config
+ */
+function commandDoctor(flags) {
+  const { config, sources, layers, warnings } = readConfig(projectRoot);
+
+  if (flags.json) {
+    console.log(JSON.stringify({ config, sources, layers, warnings }, null, 2));
+    return warnings.length > 0 ? EXIT_FAILED : EXIT_OK;
+  }
+
+  console.log('Layers (later ones win):');
+  console.log('  defaults (schemas/context-sync.schema.json)');
+  for (const layer of layers) {
+    const detail = layer.file || `${ENV_PREFIX}* variables`;
+    console.log(`  ${layer.found ? '✓' : '-'} ${layer.label}: ${detail}`);
+  }
+  console.log('');
+
+  const names = Object.keys(getSettings());
+  const width = Math.max(...names.map(name => name.length));
+  console.log('Effective configuration:');
+  for (const name of names) {
+    const source = sources[name] === DEFAULT_SOURCE ? '(default)' : `(${sources[name]})`;
+    console.log(`  ${name.padEnd(width)}  ${JSON.stringify(config[name])}  ${source}`);
+  }
+
+  if (warnings.length === 0) {
+    console.log('\nNo problems found.');
+    return EXIT_OK;
+  }
+  console.log('\nProblems:');
+  for (const warning of warnings) console.log(`  ⚠️ ${warning}`);
+  return EXIT_FAILED;
+}
+
+/**
+ * packages: every package of the monorepo this project belongs to
+ */
+function commandPackages(flags) {
+  const workspaceRoot = findWorkspaceRoot(projectRoot);
+  const { config } = readConfig(workspaceRoot);
+  const packages = listPackages(workspaceRoot, config.packages)
+    .map(relative => summarizePackage(workspaceRoot, relative));
+  const current = path.relative(workspaceRoot, projectRoot) || '.';
+
+  if (flags.json) {
+    console.log(JSON.stringify({ workspaceRoot, current, packages }, null, 2));
+    return EXIT_OK;
+  }
+
+  if (packages.length === 0) {
+    console.log(`No packages with their own .claude/ under ${workspaceRoot}.`);
+    return EXIT_OK;
+  }
+
+  console.log(`Workspace: ${workspaceRoot}`);
+  for (const summary of packages) {
+    console.log(`  ${summary.path === current ? '▶' : '•'} ${describePackage(summary)}`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * feature use: point .active at a feature, matched by slug or by name
+ */
+function commandFeature(features, planDir, args) {
+  const [, operation, ...values] = args.positional;
+  if (operation !== 'use') usage(operation ? `unknown feature operation ${operation}` : 'feature needs an operation (use)');
+  const wanted = values.join(' ');
+  if (!wanted) usage('feature use needs a feature slug');
+
+  const feature = features.find(f => f.slug === wanted) ||
+    features.find(f => f.featureList && slugify(f.featureList.feature) === slugify(wanted));
+  if (!feature) {
+    console.error(`Error: no feature ${wanted} (have: ${features.map(f => f.slug).join(', ') || 'none'})`);
+    return EXIT_FAILED;
+  }
+
+  setActiveSlug(planDir, feature.slug);
+  const name = feature.featureList ? feature.featureList.feature : feature.slug;
+  console.log(`Active feature: ${name} (${feature.slug})`);
+  if (!isOpenFeature(feature)) {
+    console.log(`Note: the feature is ${feature.featureList ? feature.featureList.status : 'invalid'}, so the first open feature stays in use until it reopens.`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Main
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args.positional[0];
+  if (!command || args.flags.help) usage();
+  if (command === 'doctor') return commandDoctor(args.flags);
+  if (command === 'packages') return commandPackages(args.flags);
+
+  const config = loadConfig(projectRoot);
+  config.worktreeIsolation = config.worktreeIsolation && isGitRepo(projectRoot);
+  const planDir = getPlanDir(projectRoot, config.worktreeIsolation);
+  const features = loadFeatures(planDir);
+  const activeSlug = getActiveSlug(planDir);
+
+  switch (command) {
+    case 'status':
+      return commandStatus(features, activeSlug, args.flags, config);
+    case 'next':
+      return commandNext(features, activeSlug, args.flags, config);
+    case 'start':
+      return commandTransition(features, args, 'in-progress', config);
+    case 'complete':
+      return commandComplete(features, args, config);
+    case 'block':
+      return commandTransition(features, args, 'blocked', config);
+    case 'skip':
+      return commandTransition(features, args, 'skipped', config);
+    case 'verify':
+      return commandVerify(features, activeSlug, args, config);
+    case 'progress':
+      return commandProgress(features, activeSlug, args.flags);
+    case 'sessions':
+      return commandSessions(args.flags);
+    case 'doc':
+      return commandDoc(args, config);
+    case 'archive':
+      return commandArchive(args.flags, config);
+    case 'search':
+      return commandSearch(args, config);
+    case 'feature':
+      return commandFeature(features, planDir, args);
+    default:
+      return usage(`unknown command ${command}`);
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(e => {
+    console.error(`Error: ${e.message}`);
+    process.exit(EXIT_FAILED);
+  });
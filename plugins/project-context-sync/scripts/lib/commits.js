@@ -0,0 +1,125 @@
+/**
+ * commits.js
+ *
+ * Links git commits to work items through a commit message trailer:
+ *
+ *   Work-Item: item-003
+ *
+ * Commits are read with their trailers and changed files, grouped per
+ * work item, and checked for a missing trailer when they were made during
+ * a session that had an item in progress.
+ */
+
+const { git } = require('./git');
+
+const TRAILER = 'Work-Item';
+
+// Commits scanned when building per-item reports
+const DEFAULT_LOG_LIMIT = 500;
+
+const RECORD_SEP = '\x1e';
+const FIELD_SEP = '\x1f';
+
+/**
+ * The trailer line for an item
+ */
+function formatTrailer(itemId) {
+  return `${TRAILER}: ${itemId}`;
+}
+
+/**
+ * Read commits with trailers and changed files
+ *
+ * range: extra `git log` arguments (e.g. ['abc123..HEAD'] or ['--since=...'])
+ * Returns [{ hash, short, date, subject, workItems, files }], newest first,
+ * or null when git is unavailable
+ */
+function getCommits(cwd, range = [], limit = DEFAULT_LOG_LIMIT) {
+  const format = [
+    '%H', '%h', '%aI', '%s',
+    `%(trailers:key=${TRAILER},valueonly,separator=%x2C)`
+  ].join('%x1f');
+
+  const output = git(
+    ['log', `--max-count=${limit}`, `--format=%x1e${format}`, '--name-only', ...range],
+    cwd,
+    10000
+  );
+  if (output === null) return null;
+
+  const commits = [];
+  for (const record of output.split(RECORD_SEP)) {
+    if (!record.trim()) continue;
+    const [header, ...fileLines] = record.split('\n');
+    const [hash, short, date, subject, trailers] = header.split(FIELD_SEP);
+    commits.push({
+      hash,
+      short,
+      date,
+      subject,
+      workItems: (trailers || '').split(',').map(id => id.trim()).filter(Boolean),
+      files: fileLines.map(line => line.trim()).filter(Boolean)
+    });
+  }
+  return commits;
+}
+
+/**
+ * Commits made during a ledger session: from its starting HEAD to its
+ * ending HEAD (or the current HEAD while it's still running)
+ */
+function getSessionCommits(cwd, session) {
+  if (!session) return [];
+  let range;
+  if (session.startHead) {
+    range = [`${session.startHead}..${session.endHead || 'HEAD'}`];
+  } else if (session.startTime) {
+    range = [`--since=${session.startTime}`];
+  } else {
+    return [];
+  }
+  return getCommits(cwd, range) || [];
+}
+
+/**
+ * Group commits by the work items their trailers name
+ * Returns Map itemId → { commits, files }
+ */
+function groupByWorkItem(commits) {
+  const groups = new Map();
+  for (const commit of commits || []) {
+    for (const itemId of commit.workItems) {
+      if (!groups.has(itemId)) groups.set(itemId, { commits: [], files: [] });
+      const group = groups.get(itemId);
+      group.commits.push(commit);
+      for (const file of commit.files) {
+        if (!group.files.includes(file)) group.files.push(file);
+      }
+    }
+  }
+  return groups;
+}
+
+/**
+ * Commits without a Work-Item trailer
+ */
+function findUntagged(commits) {
+  return (commits || []).filter(commit => commit.workItems.length === 0);
+}
+
+/**
+ * One-line description of a commit
+ */
+function describeCommit(commit) {
+  return `${commit.short} ${commit.subject}`;
+}
+
+module.exports = {
+  TRAILER,
+  formatTrailer,
+  getCommits,
+  getSessionCommits,
+  groupByWorkItem,
+  findUntagged,
+  describeCommit
+};
@@ -0,0 +1,288 @@
+/**
+ * config.js
+ *
+ * The one loader for context-sync configuration. Every setting, its type
+ * and its default are defined in schemas/context-sync.schema.json. Layers
+ * are merged in order, later ones winning:
+ *
+ *   1. plugin defaults (the schema)
+ *   2. ~/.claude/context-sync.json         user-wide preferences
+ *   3. .claude/context-sync.json           project settings (committed)
+ *   4. .claude/context-sync.local.json     personal overrides (not committed)
+ *   5. CONTEXT_SYNC_* environment variables, e.g. CONTEXT_SYNC_QUIET_START=true
+ *
+ * In a monorepo package (see workspace.js) the workspace root's project
+ * and local files come before the package's own, so packages inherit the
+ * repository's settings.
+ *
+ * Objects merge key by key at every depth; any other value, arrays
+ * included, replaces the one below it. Environment values are parsed as
+ * JSON unless the setting takes a string.
+ *
+ * A bad config never stops a hook: a file that isn't valid JSON is skipped
+ * and a value of the wrong type is ignored, leaving the layers below. Each
+ * problem is returned as a warning instead of being swallowed; SessionStart
+ * shows them and `context-sync doctor` lists them with the source of every
+ * value.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSchema, validate } = require('./schema');
+const { findWorkspaceRoot } = require('./workspace');
+
+const SCHEMA_FILE = 'context-sync.schema.json';
+const CONFIG_FILE = 'context-sync.json';
+const LOCAL_CONFIG_FILE = 'context-sync.local.json';
+const ENV_PREFIX = 'CONTEXT_SYNC_';
+
+const DEFAULT_SOURCE = 'default';
+
+/**
+ * Deep copy of a JSON value
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check for a plain object (not null or an array)
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge a value over another: objects key by key, anything else replaces
+ */
+function mergeValue(base, value) {
+  if (!isObject(base) || !isObject(value)) return clone(value);
+  const merged = { ...base };
+  for (const [key, child] of Object.entries(value)) {
+    merged[key] = mergeValue(base[key], child);
+  }
+  return merged;
+}
+
+/**
+ * The config schema's settings: { name: propertySchema }
+ */
+function getSettings() {
+  const settings = { ...loadSchema(SCHEMA_FILE).properties };
+  delete settings.$schema;
+  return settings;
+}
+
+/**
+ * Default value of every setting
+ */
+function getDefaults() {
+  const defaults = {};
+  for (const [key, schema] of Object.entries(getSettings())) {
+    defaults[key] = clone(schema.default);
+  }
+  return defaults;
+}
+
+/**
+ * Edit distance between two strings, for "did you mean" suggestions
+ */
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * The known setting closest to an unknown key, or null
+ */
+function suggestSetting(key) {
+  let best = null;
+  for (const name of Object.keys(getSettings())) {
+    const d = distance(key.toLowerCase(), name.toLowerCase());
+    if (d <= Math.max(2, Math.floor(name.length / 4)) && (!best || d < best.distance)) {
+      best = { name, distance: d };
+    }
+  }
+  return best ? best.name : null;
+}
+
+/**
+ * Read one config file
+ * Returns { values, warnings }; values is null when the file is missing
+ * or unusable
+ */
+function readConfigFile(file, label) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return { values: null, warnings: [] };
+  }
+
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (e) {
+    return { values: null, warnings: [`${label} is not valid JSON (${e.message}); its settings are ignored`] };
+  }
+  if (!isObject(values)) {
+    return { values: null, warnings: [`${label} must contain a JSON object; its settings are ignored`] };
+  }
+  return { values, warnings: [] };
+}
+
+/**
+ * Environment variable name of a setting: quietStart -> CONTEXT_SYNC_QUIET_START
+ */
+function toEnvName(setting) {
+  return ENV_PREFIX + setting.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Settings from CONTEXT_SYNC_* environment variables
+ * Returns { values, warnings }
+ */
+function readEnvironment(env) {
+  const settings = getSettings();
+  const byEnvName = new Map(Object.keys(settings).map(name => [toEnvName(name), name]));
+  const values = {};
+  const warnings = [];
+
+  for (const [variable, raw] of Object.entries(env)) {
+    if (!variable.startsWith(ENV_PREFIX)) continue;
+    const name = byEnvName.get(variable);
+    if (!name) {
+      warnings.push(`environment: unknown setting ${variable}`);
+      continue;
+    }
+    const types = [].concat(settings[name].type || []);
+    if (types.includes('string') && raw !== 'null') {
+      values[name] = raw;
+      continue;
+    }
+    try {
+      values[name] = JSON.parse(raw);
+    } catch (e) {
+      // Left as a string; the schema check reports it
+      values[name] = raw;
+    }
+  }
+  return { values, warnings };
+}
+
+/**
+ * Config files in merge order: [{ label, file }]
+ * Labels are relative to the project root
+ */
+function getConfigFiles(projectRoot) {
+  const files = [
+    { label: path.join('~', '.claude', CONFIG_FILE), file: path.join(os.homedir(), '.claude', CONFIG_FILE) }
+  ];
+  const workspaceRoot = findWorkspaceRoot(projectRoot);
+  const roots = path.resolve(workspaceRoot) === path.resolve(projectRoot)
+    ? [projectRoot]
+    : [workspaceRoot, projectRoot];
+  for (const root of roots) {
+    for (const name of [CONFIG_FILE, LOCAL_CONFIG_FILE]) {
+      const file = path.join(root, '.claude', name);
+      files.push({ label: path.relative(projectRoot, file), file });
+    }
+  }
+  return files;
+}
+
+/**
+ * Check a layer's values against the schema
+ * Returns { values (usable settings only), warnings }
+ */
+function checkLayer(values, label) {
+  const settings = getSettings();
+  const usable = {};
+  const warnings = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    if (key === '$schema') continue;
+    if (!settings[key]) {
+      const suggestion = suggestSetting(key);
+      warnings.push(`${label}: unknown setting "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      continue;
+    }
+    const errors = validate(value, { ...settings[key], definitions: loadSchema(SCHEMA_FILE).definitions });
+    if (errors.length > 0) {
+      const details = errors.map(error => `${error.path.replace(/^\$/, key)} ${error.message}`).join('; ');
+      warnings.push(`${label}: ${details}; ignored`);
+      continue;
+    }
+    usable[key] = value;
+  }
+  return { values: usable, warnings };
+}
+
+/**
+ * Load the effective configuration for a project
+ *
+ * Returns { config, sources: { key: 'default' | layer label }, layers:
+ * [{ label, file, found }], warnings }
+ */
+function readConfig(projectRoot, env = process.env) {
+  const config = getDefaults();
+  const sources = {};
+  for (const key of Object.keys(config)) sources[key] = DEFAULT_SOURCE;
+  const layers = [];
+  const warnings = [];
+
+  const apply = (values, label) => {
+    const layer = checkLayer(values, label);
+    warnings.push(...layer.warnings);
+    for (const [key, value] of Object.entries(layer.values)) {
+      config[key] = mergeValue(config[key], value);
+      sources[key] = label;
+    }
+  };
+
+  for (const { label, file } of getConfigFiles(projectRoot)) {
+    const result = readConfigFile(file, label);
+    warnings.push(...result.warnings);
+    layers.push({ label, file, found: fs.existsSync(file) });
+    if (result.values) apply(result.values, label);
+  }
+
+  const environment = readEnvironment(env);
+  warnings.push(...environment.warnings);
+  layers.push({ label: 'environment', file: null, found: Object.keys(environment.values).length > 0 });
+  for (const [key, value] of Object.entries(environment.values)) {
+    apply({ [key]: value }, `$${toEnvName(key)}`);
+  }
+
+  return { config, sources, layers, warnings };
+}
+
+/**
+ * The effective configuration for a project
+ */
+function loadConfig(projectRoot) {
+  return readConfig(projectRoot).config;
+}
+
+module.exports = {
+  SCHEMA_FILE,
+  CONFIG_FILE,
+  LOCAL_CONFIG_FILE,
+  ENV_PREFIX,
+  DEFAULT_SOURCE,
+  toEnvName,
+  getSettings,
+  getDefaults,
+  readConfig,
+  loadConfig
+};
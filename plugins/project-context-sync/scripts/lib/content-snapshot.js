@@ -0,0 +1,226 @@
+/**
+ * content-snapshot.js
+ *
+ * Content-hash snapshots that stand in for git history and status in
+ * projects that aren't git repositories (snapshotMode). Two snapshots are
+ * kept in .context-state/snapshots/:
+ *
+ *   last-session.json   the tree when the previous session ended
+ *   session-start.json  the tree when the current session started
+ *
+ * SessionStart compares the tree with last-session.json ("changed since
+ * last session"); the Stop hook and SessionEnd compare it with
+ * session-start.json, the equivalent of uncommitted changes. SessionEnd
+ * then saves the tree as last-session.json.
+ *
+ * Files are hashed with SHA-1. A file whose mtime and size match the
+ * snapshot it is compared against reuses that hash, so only changed files
+ * are read. `.claude/` and the snapshot walk's IGNORED_DIRS are always
+ * skipped; other ignore patterns come from the project's .gitignore and
+ * config snapshotIgnore (`*`, `**`, `?`, trailing `/` for directories,
+ * leading `/` to anchor; `!` negations are not supported).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { statSignature, walkFiles } = require('./snapshot');
+const { readJson, writeJson } = require('./state-store');
+
+const LAST_SESSION = 'last-session';
+const SESSION_START = 'session-start';
+
+// Always skipped: the plugin's own files change every session
+const DEFAULT_IGNORE = ['/.claude/'];
+
+// Larger files are compared by mtime and size instead of content
+const MAX_HASH_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Translate one glob pattern to a regular expression source
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Build a matcher from gitignore-style patterns
+ * Returns (relativePath, isDirectory) => boolean
+ */
+function compileIgnore(patterns) {
+  const rules = [];
+  for (const raw of patterns) {
+    let pattern = typeof raw === 'string' ? raw.trim() : '';
+    if (!pattern || pattern.startsWith('#') || pattern.startsWith('!')) continue;
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+    // A slash anywhere but the end anchors the pattern to the project root
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) continue;
+
+    rules.push({
+      regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globToRegExp(pattern)}$`),
+      dirOnly
+    });
+  }
+
+  return (relativePath, isDirectory) => {
+    const normalized = relativePath.split(path.sep).join('/');
+    return rules.some(rule => (!rule.dirOnly || isDirectory) && rule.regex.test(normalized));
+  };
+}
+
+/**
+ * Ignore patterns for a project: defaults, .gitignore, then `extra`
+ */
+function loadIgnorePatterns(projectRoot, extra = []) {
+  const patterns = [...DEFAULT_IGNORE];
+  try {
+    patterns.push(...fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf8').split('\n'));
+  } catch (e) {
+    // No .gitignore
+  }
+  if (Array.isArray(extra)) patterns.push(...extra);
+  return patterns;
+}
+
+/**
+ * SHA-1 of a file's content, or its stat signature when it's too large
+ */
+function hashFile(file, signature) {
+  try {
+    if (fs.statSync(file).size > MAX_HASH_BYTES) return `stat:${signature}`;
+    return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Hash every file of the project
+ *
+ * options: { ignore (patterns), previous (snapshot whose hashes are reused
+ * for unchanged files), sessionId }
+ * Returns { takenAt, sessionId, files: { path: { hash, signature } }, truncated }
+ */
+function takeContentSnapshot(projectRoot, options = {}) {
+  const exclude = compileIgnore(options.ignore || DEFAULT_IGNORE);
+  const previous = (options.previous && options.previous.files) || {};
+  const { files, truncated } = walkFiles(projectRoot, exclude);
+
+  const entries = {};
+  for (const file of files) {
+    const signature = statSignature(path.join(projectRoot, file));
+    const known = previous[file];
+    const hash = known && known.signature === signature
+      ? known.hash
+      : hashFile(path.join(projectRoot, file), signature);
+    if (hash) entries[file] = { hash, signature };
+  }
+
+  return {
+    takenAt: new Date().toISOString(),
+    sessionId: options.sessionId || null,
+    files: entries,
+    truncated
+  };
+}
+
+/**
+ * Files added, modified and deleted between two snapshots, each sorted
+ */
+function diffContentSnapshots(before, after) {
+  const added = [];
+  const modified = [];
+  const deleted = [];
+  const beforeFiles = (before && before.files) || {};
+  const afterFiles = (after && after.files) || {};
+
+  for (const [file, entry] of Object.entries(afterFiles)) {
+    if (!beforeFiles[file]) {
+      added.push(file);
+    } else if (beforeFiles[file].hash !== entry.hash) {
+      modified.push(file);
+    }
+  }
+  for (const file of Object.keys(beforeFiles)) {
+    if (!afterFiles[file]) deleted.push(file);
+  }
+
+  return {
+    since: before ? before.takenAt : null,
+    added: added.sort(),
+    modified: modified.sort(),
+    deleted: deleted.sort(),
+    count: added.length + modified.length + deleted.length
+  };
+}
+
+/**
+ * Changes as `git status --short`-style lines ("A path", "M path", "D path")
+ */
+function formatChanges(changes, limit = Infinity) {
+  const lines = [
+    ...changes.added.map(file => `A ${file}`),
+    ...changes.modified.map(file => `M ${file}`),
+    ...changes.deleted.map(file => `D ${file}`)
+  ];
+  if (lines.length > limit) {
+    return [...lines.slice(0, limit), `... and ${lines.length - limit} more`];
+  }
+  return lines;
+}
+
+/**
+ * Path of a stored snapshot
+ */
+function getSnapshotFile(stateDir, name) {
+  return path.join(stateDir, 'snapshots', `${name}.json`);
+}
+
+/**
+ * Load a stored snapshot, or null
+ */
+function loadContentSnapshot(stateDir, name) {
+  return readJson(getSnapshotFile(stateDir, name));
+}
+
+/**
+ * Store a snapshot under a name
+ */
+function saveContentSnapshot(stateDir, name, snapshot) {
+  writeJson(getSnapshotFile(stateDir, name), snapshot);
+}
+
+module.exports = {
+  LAST_SESSION,
+  SESSION_START,
+  compileIgnore,
+  loadIgnorePatterns,
+  takeContentSnapshot,
+  diffContentSnapshots,
+  formatChanges,
+  loadContentSnapshot,
+  saveContentSnapshot
+};
@@ -0,0 +1,156 @@
+/**
+ * context-budget.js
+ *
+ * Keeps the SessionStart context within a size budget. The context is
+ * built as named blocks; when it's over budget, blocks are trimmed from
+ * the lowest priority up (and, within a priority, from the end of the
+ * context up) until it fits. Required blocks - the current work item,
+ * PROGRESS.md's Current State and warnings - are never trimmed.
+ *
+ * A trimmed block keeps its first lines and ends with a marker saying how
+ * much was cut and what to run for the rest.
+ */
+
+// Characters per token when the budget is given in tokens
+const CHARS_PER_TOKEN = 4;
+
+// Trimmable blocks, highest priority (trimmed last) first
+const DEFAULT_PRIORITIES = [
+  'nextSteps',
+  'blockers',
+  'feature',
+  'packages',
+  'changes',
+  'gitHistory',
+  'otherSections',
+  'recentWork'
+];
+
+// How each block is named in an "omitted" marker
+const LABELS = {
+  nextSteps: 'Next Steps',
+  blockers: 'Blockers',
+  feature: 'Feature details',
+  packages: 'Package summaries',
+  changes: 'Working tree changes',
+  gitHistory: 'Git history',
+  otherSections: 'Other PROGRESS.md sections',
+  recentWork: 'Recent Work'
+};
+
+/**
+ * Collects context lines into named blocks
+ *
+ * section(name, { required, more }) starts a block; `more` tells the
+ * reader what to run for the full content when the block is trimmed.
+ * push(...lines) adds to the current block (a required "header" block
+ * until the first section starts).
+ */
+function createContext() {
+  const blocks = [];
+  let current = null;
+
+  const context = {
+    blocks,
+    section(name, options = {}) {
+      current = { name, required: !!options.required, more: options.more || null, lines: [] };
+      blocks.push(current);
+      return context;
+    },
+    push(...lines) {
+      if (!current) context.section('header', { required: true });
+      current.lines.push(...lines);
+      return context;
+    }
+  };
+  return context;
+}
+
+/**
+ * The budget in characters, or null when unlimited
+ * (the smaller of contextBudgetChars and contextBudgetTokens wins)
+ */
+function getBudget(config) {
+  const limits = [];
+  if (typeof config.contextBudgetChars === 'number') limits.push(config.contextBudgetChars);
+  if (typeof config.contextBudgetTokens === 'number') limits.push(config.contextBudgetTokens * CHARS_PER_TOKEN);
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Characters a block adds to the joined context
+ */
+function blockSize(block) {
+  return block.lines.length === 0 ? 0 : block.lines.join('\n').length + 1;
+}
+
+/**
+ * Cut a block down to about `target` characters, ending with a marker
+ */
+function trimBlock(block, target) {
+  const lines = block.lines.join('\n').split('\n');
+  const more = block.more ? `; ${block.more}` : '';
+  const kept = [];
+  let size = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const marker = `[... truncated: ${lines.length - i} more line(s)${more}]`;
+    if (size + lines[i].length + 1 + marker.length + 1 > target) {
+      // Nothing but blank lines fits: leave just the marker
+      if (kept.every(line => !line.trim())) {
+        block.lines = [`[${LABELS[block.name] || block.name} omitted to fit the context budget${more}]`];
+      } else {
+        block.lines = [...kept, marker];
+      }
+      return;
+    }
+    kept.push(lines[i]);
+    size += lines[i].length + 1;
+  }
+}
+
+/**
+ * Join the blocks into the context text, trimming to fit `budget`
+ * characters when one is set
+ */
+function renderContext(blocks, budget, priorities = DEFAULT_PRIORITIES) {
+  let total = blocks.reduce((sum, block) => sum + blockSize(block), 0);
+
+  if (budget && total > budget) {
+    // Unlisted blocks go first, then listed ones from the lowest priority;
+    // later blocks before earlier ones
+    const rank = block => {
+      const index = priorities.indexOf(block.name);
+      return index === -1 ? priorities.length : index;
+    };
+    const trimmable = blocks
+      .map((block, position) => ({ block, position }))
+      .filter(({ block }) => !block.required && block.lines.some(line => line.trim()))
+      .sort((a, b) => rank(b.block) - rank(a.block) || b.position - a.position);
+
+    for (const { block } of trimmable) {
+      if (total <= budget) break;
+      const before = blockSize(block);
+      const lines = block.lines;
+      trimBlock(block, Math.max(0, before - (total - budget)));
+      // Too small to gain anything from a marker
+      if (blockSize(block) >= before) {
+        block.lines = lines;
+        continue;
+      }
+      total += blockSize(block) - before;
+    }
+  }
+
+  return blocks
+    .filter(block => block.lines.length > 0)
+    .map(block => block.lines.join('\n'))
+    .join('\n');
+}
+
+module.exports = {
+  DEFAULT_PRIORITIES,
+  createContext,
+  getBudget,
+  renderContext
+};
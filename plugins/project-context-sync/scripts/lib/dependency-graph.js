@@ -0,0 +1,275 @@
+/**
+ * dependency-graph.js
+ *
+ * Dependency analysis for the work items of a feature plan. Detects cycles,
+ * references to unknown item IDs and items that can never start because a
+ * dependency was skipped, computes a topological order and the critical path
+ * of remaining work, and explains why a pending item is not yet eligible.
+ */
+
+// Relative weight of an item on the critical path
+const EFFORT_WEIGHTS = { small: 1, medium: 2, large: 3 };
+const DEFAULT_EFFORT_WEIGHT = 2;
+
+// Statuses that will never become complete without a human decision
+const DEAD_STATUSES = ['skipped'];
+
+/**
+ * Get the dependency IDs declared by an item
+ */
+function getDependencies(item) {
+  return Array.isArray(item.dependencies) ? item.dependencies : [];
+}
+
+/**
+ * Find strongly connected components that form cycles (Tarjan)
+ */
+function findCycles(ids, edges) {
+  let index = 0;
+  const indices = new Map();
+  const lowlinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+
+  function visit(id) {
+    indices.set(id, index);
+    lowlinks.set(id, index);
+    index++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const dep of edges.get(id)) {
+      if (!indices.has(dep)) {
+        visit(dep);
+        lowlinks.set(id, Math.min(lowlinks.get(id), lowlinks.get(dep)));
+      } else if (onStack.has(dep)) {
+        lowlinks.set(id, Math.min(lowlinks.get(id), indices.get(dep)));
+      }
+    }
+
+    if (lowlinks.get(id) === indices.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || edges.get(id).includes(id)) {
+        cycles.push(component.reverse());
+      }
+    }
+  }
+
+  for (const id of ids) {
+    if (!indices.has(id)) visit(id);
+  }
+
+  return cycles;
+}
+
+/**
+ * Analyze the dependency graph of a list of work items
+ */
+function analyzeDependencies(items) {
+  const list = (items || []).filter(item => item && typeof item.id === 'string');
+  const byId = new Map();
+  for (const item of list) {
+    if (!byId.has(item.id)) byId.set(item.id, item);
+  }
+  const ids = [...byId.keys()];
+
+  // Known edges only; unknown IDs are reported as dangling
+  const edges = new Map();
+  const dangling = [];
+  for (const id of ids) {
+    const known = [];
+    for (const dep of getDependencies(byId.get(id))) {
+      if (byId.has(dep)) {
+        known.push(dep);
+      } else {
+        dangling.push({ itemId: id, dependency: dep });
+      }
+    }
+    edges.set(id, known);
+  }
+
+  const cycles = findCycles(ids, edges);
+  const cyclic = new Set(cycles.flat());
+
+  // Topological order (Kahn), ties broken by position in the plan
+  const position = new Map(ids.map((id, i) => [id, i]));
+  const remainingDeps = new Map(ids.map(id => [id, edges.get(id).length]));
+  const dependents = new Map(ids.map(id => [id, []]));
+  for (const id of ids) {
+    for (const dep of edges.get(id)) dependents.get(dep).push(id);
+  }
+
+  const ready = ids.filter(id => remainingDeps.get(id) === 0);
+  const order = [];
+  while (ready.length > 0) {
+    ready.sort((a, b) => position.get(a) - position.get(b));
+    const id = ready.shift();
+    order.push(id);
+    for (const dependent of dependents.get(id)) {
+      remainingDeps.set(dependent, remainingDeps.get(dependent) - 1);
+      if (remainingDeps.get(dependent) === 0) ready.push(dependent);
+    }
+  }
+  const unordered = ids.filter(id => !order.includes(id));
+
+  // Items that can never start: a dependency (directly or transitively)
+  // is skipped, missing, or part of a cycle
+  const deadCauses = new Map();
+  function findDeadCauses(id, seen = new Set()) {
+    if (deadCauses.has(id)) return deadCauses.get(id);
+    if (seen.has(id)) return [];
+    seen.add(id);
+
+    const causes = [];
+    for (const dep of getDependencies(byId.get(id))) {
+      if (!byId.has(dep)) {
+        causes.push(`${dep} does not exist`);
+        continue;
+      }
+      const depItem = byId.get(dep);
+      if (DEAD_STATUSES.includes(depItem.status)) {
+        causes.push(`${dep} was ${depItem.status}`);
+      } else if (depItem.status !== 'complete' && cyclic.has(dep)) {
+        causes.push(`${dep} is part of a dependency cycle`);
+      } else if (depItem.status !== 'complete' && findDeadCauses(dep, seen).length > 0) {
+        causes.push(`${dep} can never start`);
+      }
+    }
+
+    deadCauses.set(id, causes);
+    return causes;
+  }
+
+  const permanentlyBlocked = [];
+  for (const id of ids) {
+    const item = byId.get(id);
+    if (item.status === 'complete' || DEAD_STATUSES.includes(item.status)) continue;
+    const causes = findDeadCauses(id);
+    if (causes.length > 0) {
+      permanentlyBlocked.push({ itemId: id, reasons: causes });
+    }
+  }
+
+  return {
+    items: byId,
+    edges,
+    order,
+    unordered,
+    cycles,
+    dangling,
+    permanentlyBlocked,
+    criticalPath: computeCriticalPath(byId, edges, order)
+  };
+}
+
+/**
+ * Longest chain of remaining (not complete or skipped) items, weighted by
+ * estimatedEffort. Walks the topological order, so cyclic items are ignored.
+ */
+function computeCriticalPath(byId, edges, order) {
+  const isRemaining = id => {
+    const status = byId.get(id).status;
+    return status !== 'complete' && !DEAD_STATUSES.includes(status);
+  };
+
+  const best = new Map();
+  for (const id of order) {
+    if (!isRemaining(id)) continue;
+
+    const item = byId.get(id);
+    const weight = EFFORT_WEIGHTS[item.estimatedEffort] || DEFAULT_EFFORT_WEIGHT;
+    let longest = { weight: 0, path: [] };
+    for (const dep of edges.get(id)) {
+      const candidate = best.get(dep);
+      if (candidate && candidate.weight > longest.weight) longest = candidate;
+    }
+    best.set(id, { weight: longest.weight + weight, path: [...longest.path, id] });
+  }
+
+  let critical = { weight: 0, path: [] };
+  for (const entry of best.values()) {
+    if (entry.weight > critical.weight) critical = entry;
+  }
+  return critical;
+}
+
+/**
+ * Explain why an item is not eligible to start
+ * Returns an empty array when the item is pending with all dependencies complete
+ */
+function explainIneligible(graph, itemId) {
+  const item = graph.items.get(itemId);
+  if (!item) return [`${itemId} does not exist`];
+
+  const reasons = [];
+  if (item.status !== 'pending') {
+    reasons.push(`status is ${item.status}${item.blockedBy ? ` (${item.blockedBy})` : ''}`);
+  }
+
+  if (graph.cycles.some(cycle => cycle.includes(itemId))) {
+    const cycle = graph.cycles.find(c => c.includes(itemId));
+    reasons.push(`part of dependency cycle ${[...cycle, cycle[0]].join(' → ')}`);
+  }
+
+  for (const dep of getDependencies(item)) {
+    const depItem = graph.items.get(dep);
+    if (!depItem) {
+      reasons.push(`depends on ${dep}, which does not exist`);
+    } else if (DEAD_STATUSES.includes(depItem.status)) {
+      reasons.push(`depends on ${dep}, which was ${depItem.status}`);
+    } else if (depItem.status !== 'complete') {
+      reasons.push(`waiting on ${dep} (${depItem.status})`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Get pending items whose dependencies are all complete, in topological order
+ */
+function getEligibleItems(graph) {
+  return graph.order
+    .map(id => graph.items.get(id))
+    .filter(item => item.status === 'pending' && explainIneligible(graph, item.id).length === 0);
+}
+
+/**
+ * Collect human-readable problems found in the graph
+ */
+function describeProblems(graph) {
+  const problems = [];
+  for (const cycle of graph.cycles) {
+    problems.push(`Dependency cycle: ${[...cycle, cycle[0]].join(' → ')}`);
+  }
+  for (const { itemId, dependency } of graph.dangling) {
+    problems.push(`${itemId} depends on unknown item ${dependency}`);
+  }
+  // Skip causes already reported above as dangling IDs or cycles
+  const cyclic = new Set(graph.cycles.flat());
+  for (const { itemId, reasons } of graph.permanentlyBlocked) {
+    const remaining = reasons.filter(reason =>
+      !reason.endsWith('does not exist') &&
+      !(cyclic.has(itemId) && reason.endsWith('dependency cycle'))
+    );
+    if (remaining.length > 0) {
+      problems.push(`${itemId} can never start: ${remaining.join('; ')}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  analyzeDependencies,
+  explainIneligible,
+  getEligibleItems,
+  describeProblems
+};
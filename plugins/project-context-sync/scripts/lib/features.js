@@ -0,0 +1,278 @@
+/**
+ * features.js
+ *
+ * Shared helpers for multi-feature plans.
+ *
+ * Feature plans live in .claude/features/<slug>.json, one file per feature.
+ * .claude/features/.active holds the slug of the active feature. A legacy
+ * .claude/feature_list.json is still read, as a plan with slug "feature_list".
+ *
+ * Every plan is validated against schemas/feature-list.schema.json on load.
+ * Problems are kept on the loaded entry as `errors` so callers can report
+ * them instead of treating a malformed plan as a missing one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateFeatureList } = require('./schema');
+const { analyzeDependencies, getEligibleItems } = require('./dependency-graph');
+const { withLock, writeJson, writeFileAtomic } = require('./state-store');
+
+const LEGACY_SLUG = 'feature_list';
+const CLOSED_STATUSES = ['complete', 'abandoned'];
+
+/**
+ * Resolve feature plan locations inside a .claude directory
+ */
+function getFeaturePaths(claudeDir) {
+  const featuresDir = path.join(claudeDir, 'features');
+  return {
+    featuresDir,
+    activeFile: path.join(featuresDir, '.active'),
+    legacyFile: path.join(claudeDir, 'feature_list.json')
+  };
+}
+
+/**
+ * Turn a feature name into a file-safe slug
+ */
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'feature';
+}
+
+/**
+ * Read and validate a single feature plan file
+ * featureList is null when the file can't be parsed
+ */
+function readFeatureFile(file, slug) {
+  let featureList;
+  try {
+    featureList = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return {
+      slug,
+      file,
+      featureList: null,
+      errors: [{ path: '$', message: `invalid JSON: ${e.message}` }]
+    };
+  }
+
+  return {
+    slug,
+    file,
+    featureList,
+    errors: validateFeatureList(featureList)
+  };
+}
+
+/**
+ * Get the work items of a plan, ignoring anything that isn't an object
+ */
+function getItems(featureList) {
+  if (!featureList || !Array.isArray(featureList.items)) return [];
+  return featureList.items.filter(item => item && typeof item === 'object');
+}
+
+/**
+ * Load every feature plan, legacy file first, then features/ by slug
+ */
+function loadFeatures(claudeDir) {
+  const { featuresDir, legacyFile } = getFeaturePaths(claudeDir);
+  const features = [];
+
+  if (fs.existsSync(legacyFile)) {
+    features.push(readFeatureFile(legacyFile, LEGACY_SLUG));
+  }
+
+  if (fs.existsSync(featuresDir)) {
+    const files = fs.readdirSync(featuresDir)
+      .filter(name => name.endsWith('.json') && !name.startsWith('.'))
+      .sort();
+
+    for (const name of files) {
+      features.push(readFeatureFile(path.join(featuresDir, name), path.basename(name, '.json')));
+    }
+  }
+
+  return features;
+}
+
+/**
+ * Locked read-modify-write of a feature plan
+ *
+ * The plan is re-read from disk under the lock so changes another session
+ * made since it was loaded are kept; update(featureList) runs on that copy,
+ * which is written atomically and put on the entry. Throws when update
+ * throws or the plan can't be written.
+ */
+function updateFeature(feature, update) {
+  withLock(feature.file, () => {
+    let onDisk = null;
+    try {
+      onDisk = JSON.parse(fs.readFileSync(feature.file, 'utf8'));
+    } catch (e) {
+      // New or unreadable plan: the loaded copy is all there is
+    }
+
+    // Keep the entry's object so references callers hold stay current
+    const featureList = feature.featureList || {};
+    if (onDisk && typeof onDisk === 'object') {
+      for (const key of Object.keys(featureList)) delete featureList[key];
+      Object.assign(featureList, onDisk);
+    }
+    feature.featureList = featureList;
+    update(featureList);
+    writeJson(feature.file, featureList);
+  });
+  return feature.featureList;
+}
+
+/**
+ * Check whether a feature still has work to do
+ */
+function isOpenFeature(feature) {
+  return !!feature && !!feature.featureList &&
+    !CLOSED_STATUSES.includes(feature.featureList.status);
+}
+
+/**
+ * Get the loaded features that failed parsing or schema validation
+ */
+function getInvalidFeatures(features) {
+  return features.filter(f => f.errors && f.errors.length > 0);
+}
+
+/**
+ * Read the active feature pointer
+ */
+function getActiveSlug(claudeDir) {
+  const { activeFile } = getFeaturePaths(claudeDir);
+  try {
+    if (fs.existsSync(activeFile)) {
+      return fs.readFileSync(activeFile, 'utf8').trim() || null;
+    }
+  } catch (e) {
+    // No pointer
+  }
+  return null;
+}
+
+/**
+ * Point .active at a feature slug
+ */
+function setActiveSlug(claudeDir, slug) {
+  const { activeFile } = getFeaturePaths(claudeDir);
+  writeFileAtomic(activeFile, `${slug}\n`);
+}
+
+/**
+ * Pick the active feature: the pointer if it names an open feature,
+ * otherwise the first open feature with an in-progress item, otherwise
+ * the first open feature
+ */
+function getActiveFeature(features, activeSlug) {
+  const open = features.filter(isOpenFeature);
+  if (open.length === 0) return null;
+
+  const pointed = open.find(f => f.slug === activeSlug);
+  if (pointed) return pointed;
+
+  const working = open.find(f =>
+    getItems(f.featureList).some(item => item.status === 'in-progress')
+  );
+  return working || open[0];
+}
+
+/**
+ * Order open features so the active one comes first
+ */
+function orderByActive(features, activeSlug) {
+  const open = features.filter(isOpenFeature);
+  const active = getActiveFeature(features, activeSlug);
+  if (!active) return open;
+  return [active, ...open.filter(f => f !== active)];
+}
+
+/**
+ * Get the in-progress work item across all open features, active feature first
+ */
+function getCurrentWorkItem(features, activeSlug) {
+  for (const feature of orderByActive(features, activeSlug)) {
+    const item = getItems(feature.featureList).find(i => i.status === 'in-progress');
+    if (item) return { feature, item };
+  }
+  return null;
+}
+
+/**
+ * Get the next eligible pending item within a single feature plan,
+ * following the dependency graph's topological order
+ */
+function getNextPendingItem(featureList) {
+  const graph = analyzeDependencies(getItems(featureList));
+  return getEligibleItems(graph)[0] || null;
+}
+
+/**
+ * Get the next work item across all open features: any in-progress item
+ * first, then the next eligible pending item, active feature first
+ */
+function getNextWorkItem(features, activeSlug) {
+  const current = getCurrentWorkItem(features, activeSlug);
+  if (current) return current;
+
+  for (const feature of orderByActive(features, activeSlug)) {
+    const item = getNextPendingItem(feature.featureList);
+    if (item) return { feature, item };
+  }
+  return null;
+}
+
+/**
+ * Calculate progress counts for one feature plan
+ */
+function getFeatureProgress(featureList) {
+  if (!featureList || !Array.isArray(featureList.items)) return null;
+
+  const items = getItems(featureList);
+  const count = status => items.filter(i => i.status === status).length;
+
+  return {
+    total: items.length,
+    completed: count('complete'),
+    inProgress: count('in-progress'),
+    blocked: count('blocked'),
+    pending: count('pending'),
+    skipped: count('skipped')
+  };
+}
+
+/**
+ * Render a progress bar with one cell per item
+ */
+function renderProgressBar(progress) {
+  return '█'.repeat(progress.completed) + '░'.repeat(progress.total - progress.completed);
+}
+
+module.exports = {
+  LEGACY_SLUG,
+  getFeaturePaths,
+  slugify,
+  loadFeatures,
+  updateFeature,
+  getItems,
+  isOpenFeature,
+  getInvalidFeatures,
+  getActiveSlug,
+  setActiveSlug,
+  getActiveFeature,
+  orderByActive,
+  getCurrentWorkItem,
+  getNextPendingItem,
+  getNextWorkItem,
+  getFeatureProgress,
+  renderProgressBar
+};
@@ -0,0 +1,259 @@
+/**
+ * file-references.js
+ *
+ * Checks that the files PROGRESS.md and feature plans point at still
+ * exist, so a handoff note doesn't send the next session to deleted code.
+ *
+ * References come from PROGRESS.md (every section but Recent Work, which
+ * records history), each open feature's `metadata.relatedFiles` and the
+ * `notes` of its unfinished items, outside fenced code blocks. A reference
+ * is a path with a slash: in backticks, one ending in a known source file
+ * extension or whose first segment exists in the project (`src/app.js`,
+ * `src/auth`); in plain prose, one ending in such an extension or a slash
+ * (src/app.js, src/auth/). Bare file names, which usually mean a file
+ * found elsewhere, aren't checked. `:line` suffixes are dropped; URLs,
+ * globs and placeholders are skipped. A reference resolves against the
+ * project root, then the workspace root in a monorepo.
+ *
+ * For a missing path, git history (renames and deletions in the newest
+ * MAX_HISTORY_COMMITS commits) says where it went: renamed, with the new
+ * path when it exists, or deleted, with the commit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./git');
+const { parseProgress, getSection } = require('./progress-file');
+const { getItems, isOpenFeature } = require('./features');
+
+// Commits searched for renames and deletions
+const MAX_HISTORY_COMMITS = 1000;
+
+// Extensions that mark a slash path as a file reference
+const FILE_EXTENSIONS = [
+  'c', 'cc', 'cfg', 'cjs', 'conf', 'cpp', 'cs', 'css', 'csv', 'dart', 'ex', 'exs', 'go', 'gradle',
+  'h', 'hpp', 'html', 'ini', 'ipynb', 'java', 'js', 'json', 'jsonl', 'jsx', 'kt', 'less', 'lock',
+  'lua', 'md', 'mdx', 'mjs', 'php', 'pl', 'proto', 'py', 'rb', 'rs', 'sass', 'scala', 'scss', 'sh',
+  'sql', 'svelte', 'swift', 'tf', 'toml', 'ts', 'tsx', 'txt', 'vue', 'xml', 'yaml', 'yml', 'zsh'
+];
+
+// Characters a path may contain (anything else rules the word out)
+const PATH_CHARS = /^[\w./-]+$/;
+
+// Punctuation around a word in prose
+const SURROUNDING = /^[("'[{<*]+|[)"'\]}>*,;:!?.]+$/g;
+
+// Line and anchor suffixes: app.js:42, app.js:42:7, app.md#L10
+const LOCATION_SUFFIX = /(?::\d+(?::\d+)?|#L?\d+(?:-L?\d+)?)$/;
+
+const BACKTICKED = /`([^`\n]+)`/g;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Check a cleaned-up word against the reference rules (quoted: it was
+ * backticked)
+ */
+function isReference(word, bases, quoted) {
+  if (!word || !PATH_CHARS.test(word) || !/[A-Za-z]/.test(word)) return false;
+  if (!word.includes('/') || word.startsWith('-') || word.includes('//')) return false;
+
+  const extension = path.extname(word.replace(/\/+$/, '')).slice(1).toLowerCase();
+  if (FILE_EXTENSIONS.includes(extension)) return true;
+  if (!quoted) return word.endsWith('/');
+
+  const first = word.replace(/^\.\//, '').split('/')[0];
+  if (!first || first === '..') return false;
+  return bases.some(base => fs.existsSync(path.join(base, first)));
+}
+
+/**
+ * Clean a candidate word: surrounding punctuation and location suffixes
+ */
+function cleanWord(word) {
+  return word.replace(SURROUNDING, '').replace(LOCATION_SUFFIX, '');
+}
+
+/**
+ * Path-like references in a piece of prose, in order of appearance
+ */
+function extractReferences(text, bases) {
+  const found = [];
+  let inFence = false;
+  for (const line of String(text || '').split('\n')) {
+    if (FENCE.test(line)) inFence = !inFence;
+    if (inFence || FENCE.test(line)) continue;
+    const spans = [...line.matchAll(BACKTICKED)]
+      .map(match => match[1].trim())
+      .filter(span => !/\s/.test(span))
+      .map(span => ({ word: cleanWord(span), quoted: true }));
+    const words = line.replace(BACKTICKED, ' ').split(/\s+/)
+      .map(word => ({ word: cleanWord(word), quoted: false }));
+    for (const { word, quoted } of [...spans, ...words]) {
+      if (isReference(word, bases, quoted) && !found.includes(word)) found.push(word);
+    }
+  }
+  return found;
+}
+
+/**
+ * References in PROGRESS.md and open feature plans: [{ path, source }]
+ *
+ * options: { progress (file content), aliases, features, bases, claudeDir }
+ */
+function collectReferences(options) {
+  const { bases } = options;
+  const references = [];
+  const add = (paths, source) => {
+    for (const file of paths) references.push({ path: file, source });
+  };
+
+  if (options.progress) {
+    const doc = parseProgress(options.progress, { aliases: options.aliases });
+    const recentWork = getSection(doc, 'Recent Work');
+    add(extractReferences(doc.preamble.join('\n'), bases), 'PROGRESS.md');
+    for (const section of doc.sections) {
+      if (section === recentWork) continue;
+      add(extractReferences(section.lines.join('\n'), bases), `PROGRESS.md (${section.title})`);
+    }
+  }
+
+  for (const feature of (options.features || []).filter(isOpenFeature)) {
+    const label = options.claudeDir ? path.relative(options.claudeDir, feature.file) : feature.slug;
+    const metadata = feature.featureList.metadata || {};
+    if (Array.isArray(metadata.relatedFiles)) {
+      add(metadata.relatedFiles.filter(file => typeof file === 'string' && file.trim()), `${label} relatedFiles`);
+    }
+    for (const item of getItems(feature.featureList)) {
+      if (['complete', 'skipped'].includes(item.status) || typeof item.notes !== 'string') continue;
+      add(extractReferences(item.notes, bases), `${label} ${item.id} notes`);
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Renames and deletions from git history, newest first
+ * Returns { topLevel, moves: Map(oldPath -> { to, commit }) } with
+ * repository-relative paths (`to` null for a deletion), or null outside git
+ */
+function loadMoves(cwd) {
+  const topLevel = git(['rev-parse', '--show-toplevel'], cwd, 2000);
+  if (!topLevel) return null;
+  const output = git(
+    ['log', '-M', '--diff-filter=RD', '--name-status', '--format=commit %h', '-n', String(MAX_HISTORY_COMMITS)],
+    cwd,
+    10000
+  );
+
+  const moves = new Map();
+  let commit = null;
+  for (const line of (output || '').split('\n')) {
+    if (line.startsWith('commit ')) {
+      commit = line.slice('commit '.length);
+      continue;
+    }
+    const [code, from, to] = line.split('\t');
+    if (!code || !from || moves.has(from)) continue;
+    if (code.startsWith('R')) moves.set(from, { to, commit });
+    else if (code === 'D') moves.set(from, { to: null, commit });
+  }
+  return { topLevel, moves };
+}
+
+/**
+ * Where a repository path went: { to (null when deleted), commit } or null
+ */
+function traceMove(moves, repoPath) {
+  let current = repoPath;
+  let last = null;
+  const seen = new Set();
+  while (moves.has(current) && !seen.has(current)) {
+    seen.add(current);
+    last = moves.get(current);
+    if (!last.to) return { to: null, commit: last.commit };
+    current = last.to;
+  }
+  return last ? { to: current, commit: last.commit } : null;
+}
+
+/**
+ * Where a repository directory went, judged by the newest move of a file
+ * inside it
+ */
+function traceDirectory(moves, repoDir) {
+  const prefix = `${repoDir}/`;
+  for (const from of moves.keys()) {
+    if (!from.startsWith(prefix)) continue;
+    const move = traceMove(moves, from);
+    const rest = from.slice(prefix.length);
+    if (move && move.to && move.to.endsWith(`/${rest}`)) {
+      return { to: move.to.slice(0, -rest.length - 1), commit: move.commit };
+    }
+    if (move) return { to: null, commit: move.commit };
+  }
+  return null;
+}
+
+/**
+ * Check references against the tree and, for missing ones, git history
+ *
+ * Returns one problem per missing path: { path, sources, status:
+ * 'renamed' | 'deleted' | 'missing', suggestion, commit }
+ */
+function checkReferences(references, bases) {
+  const byPath = new Map();
+  for (const reference of references) {
+    if (!byPath.has(reference.path)) byPath.set(reference.path, []);
+    const sources = byPath.get(reference.path);
+    if (!sources.includes(reference.source)) sources.push(reference.source);
+  }
+
+  const problems = [];
+  let history;
+  for (const [file, sources] of byPath) {
+    if (path.isAbsolute(file) && !bases.some(base => !path.relative(base, file).startsWith('..'))) continue;
+    if (bases.some(base => fs.existsSync(path.resolve(base, file)))) continue;
+
+    if (history === undefined) history = loadMoves(bases[0]);
+    const problem = { path: file, sources, status: 'missing', suggestion: null, commit: null };
+    for (const base of history ? bases : []) {
+      const repoPath = path.relative(history.topLevel, path.resolve(fs.realpathSync(base), file));
+      const move = traceMove(history.moves, repoPath) || traceDirectory(history.moves, repoPath.replace(/\/+$/, ''));
+      if (!move) continue;
+      const target = move.to && path.join(history.topLevel, move.to);
+      if (target && fs.existsSync(target)) {
+        const suggestion = path.relative(base, target);
+        Object.assign(problem, {
+          status: 'renamed',
+          suggestion: file.endsWith('/') ? `${suggestion}/` : suggestion,
+          commit: move.commit
+        });
+      } else if (!move.to) {
+        Object.assign(problem, { status: 'deleted', commit: move.commit });
+      }
+      break;
+    }
+    problems.push(problem);
+  }
+  return problems;
+}
+
+/**
+ * One-line description of a problem, e.g.
+ * "src/auth.js (PROGRESS.md (Next Steps)): renamed to src/auth/index.js in 1a2b3c4"
+ */
+function describeReference(problem) {
+  const where = `${problem.path} (${problem.sources.join(', ')})`;
+  if (problem.status === 'renamed') return `${where}: renamed to ${problem.suggestion} in ${problem.commit}`;
+  if (problem.status === 'deleted') return `${where}: deleted in ${problem.commit}`;
+  return `${where}: not found`;
+}
+
+module.exports = {
+  MAX_HISTORY_COMMITS,
+  extractReferences,
+  collectReferences,
+  checkReferences,
+  describeReference
+};
@@ -0,0 +1,88 @@
+/**
+ * git.js
+ *
+ * Small synchronous git helpers shared by the hook scripts.
+ * Every helper returns null instead of throwing when git is unavailable.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Largest `git diff` read when hashing the working tree
+const MAX_DIFF_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Run a git command and return trimmed stdout, or null on failure
+ * (`raw` keeps leading whitespace, which porcelain formats rely on)
+ */
+function git(args, cwd, timeout = 5000, raw = false) {
+  try {
+    const output = execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      timeout,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    return raw ? output : output.trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check if a directory is inside a git repository
+ */
+function isGitRepo(cwd) {
+  return git(['rev-parse', '--git-dir'], cwd, 2000) !== null;
+}
+
+/**
+ * Get the current HEAD commit hash
+ */
+function getHead(cwd) {
+  return git(['rev-parse', 'HEAD'], cwd, 2000);
+}
+
+/**
+ * Hash the working tree, including uncommitted and untracked changes, from
+ * HEAD's tree, `git diff HEAD` and the names, sizes and mtimes of untracked
+ * files. Read-only: nothing is written to the object store. Paths in
+ * `exclude` are left out so plugin state files don't change the hash.
+ */
+function getWorkingTreeHash(cwd, exclude = []) {
+  const pathspec = ['--', '.', ...exclude.map(p => `:(exclude)${p}`)];
+  // Before the first commit, diff against the empty tree
+  const base = git(['rev-parse', '--verify', '--quiet', 'HEAD^{tree}'], cwd, 2000) ||
+    git(['hash-object', '-t', 'tree', '/dev/null'], cwd, 2000);
+  if (!base) return null;
+
+  try {
+    const options = { cwd, timeout: 10000, maxBuffer: MAX_DIFF_BYTES, stdio: 'pipe' };
+    const diff = execFileSync('git', ['diff', '--no-ext-diff', '--binary', base, ...pathspec], options);
+    const untracked = execFileSync('git', ['ls-files', '-o', '--exclude-standard', '-z', ...pathspec],
+      { ...options, encoding: 'utf8' });
+
+    const hash = crypto.createHash('sha1').update(`${base}\0`).update(diff);
+    for (const file of untracked.split('\0').filter(Boolean).sort()) {
+      let stat = null;
+      try {
+        stat = fs.statSync(path.join(cwd, file));
+      } catch (e) {
+        // Deleted since it was listed
+      }
+      hash.update(`\0${file}\0${stat ? `${stat.size}:${stat.mtimeMs}` : '-'}`);
+    }
+    return hash.digest('hex');
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  git,
+  isGitRepo,
+  getHead,
+  getWorkingTreeHash
+};
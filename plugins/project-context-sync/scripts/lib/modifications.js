@@ -0,0 +1,284 @@
+/**
+ * modifications.js
+ *
+ * Per-file modification records kept in .context-state/modifications.json:
+ *
+ *   {
+ *     sessionId, files, count, lastModified, contextSyncedAt,
+ *     records: {
+ *       "src/app.js": {
+ *         firstModified, lastModified, edits, tools: ["Edit", "Bash"],
+ *         linesAdded, linesRemoved, package: "packages/api",
+ *         agents: ["a1b2c3"]
+ *       }
+ *     },
+ *     subagents: {
+ *       "a1b2c3": {
+ *         agentType, startedAt, stoppedAt, summary, rolledUp,
+ *         files, count, records
+ *       }
+ *     }
+ *   }
+ *
+ * `files` and `count` are kept alongside the records for older readers.
+ * Line counts come from Edit/MultiEdit old_string/new_string, so Write,
+ * NotebookEdit and Bash changes count as edits without a line delta.
+ * `package` is the monorepo package owning the file, relative to the
+ * workspace root ("." for the root; see workspace.js).
+ *
+ * A subagent's edits are recorded in its own entry under `subagents`
+ * (same shape as the session's) while it runs. When it stops they're
+ * rolled up into the session's records, each tagged with the subagents
+ * (`agents`) that changed the file, so the session's files and count
+ * include the subagent's work and its contribution can still be listed.
+ */
+
+/**
+ * Empty modifications for a session
+ */
+function emptyModifications(sessionId = null) {
+  return {
+    sessionId,
+    files: [],
+    records: {},
+    count: 0,
+    lastModified: null,
+    contextSyncedAt: null
+  };
+}
+
+/**
+ * Split a string into lines (none for empty)
+ */
+function splitLines(text) {
+  if (typeof text !== 'string' || text === '') return [];
+  return text.split('\n');
+}
+
+/**
+ * Lines added and removed going from one string to another, ignoring the
+ * lines they share at the start and end
+ */
+function lineDelta(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldLines.length - start && end < newLines.length - start &&
+         oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) {
+    end++;
+  }
+
+  return {
+    linesAdded: newLines.length - start - end,
+    linesRemoved: oldLines.length - start - end
+  };
+}
+
+/**
+ * Line delta of an Edit or MultiEdit tool call: { linesAdded, linesRemoved }
+ */
+function getEditDelta(toolInput) {
+  const edits = Array.isArray(toolInput && toolInput.edits) ? toolInput.edits : [toolInput || {}];
+  let linesAdded = 0;
+  let linesRemoved = 0;
+  for (const edit of edits) {
+    if (typeof edit.old_string !== 'string' && typeof edit.new_string !== 'string') continue;
+    const delta = lineDelta(edit.old_string, edit.new_string);
+    linesAdded += delta.linesAdded;
+    linesRemoved += delta.linesRemoved;
+  }
+  return { linesAdded, linesRemoved };
+}
+
+/**
+ * Record one edit of a file by a tool, optionally with its owning package
+ */
+function recordEdit(mods, file, toolName, delta = {}, owner = null) {
+  const now = new Date().toISOString();
+  mods.records = mods.records || {};
+
+  const record = mods.records[file] || {
+    firstModified: now,
+    lastModified: now,
+    edits: 0,
+    tools: [],
+    linesAdded: 0,
+    linesRemoved: 0
+  };
+  record.lastModified = now;
+  record.edits++;
+  if (toolName && !record.tools.includes(toolName)) record.tools.push(toolName);
+  record.linesAdded += delta.linesAdded || 0;
+  record.linesRemoved += delta.linesRemoved || 0;
+  if (owner) record.package = owner;
+  mods.records[file] = record;
+
+  if (!mods.files.includes(file)) mods.files.push(file);
+  mods.count++;
+  mods.lastModified = now;
+}
+
+/**
+ * A subagent's entry, created on its first edit or when it stops
+ */
+function getSubagent(mods, agentId, agentType = null) {
+  mods.subagents = mods.subagents || {};
+  const subagent = mods.subagents[agentId] || {
+    agentType: null,
+    startedAt: new Date().toISOString(),
+    stoppedAt: null,
+    summary: null,
+    rolledUp: false,
+    ...emptyModifications(mods.sessionId)
+  };
+  if (agentType) subagent.agentType = agentType;
+  mods.subagents[agentId] = subagent;
+  return subagent;
+}
+
+/**
+ * Merge a subagent's records into the session's, once
+ */
+function rollUpSubagent(mods, agentId) {
+  const subagent = mods.subagents && mods.subagents[agentId];
+  if (!subagent || subagent.rolledUp) return;
+  mods.records = mods.records || {};
+
+  for (const file of subagent.files) {
+    const from = subagent.records[file];
+    const into = mods.records[file];
+    if (!into) {
+      mods.records[file] = { ...from, tools: [...from.tools], agents: [agentId] };
+    } else {
+      if (from.firstModified < into.firstModified) into.firstModified = from.firstModified;
+      if (from.lastModified > into.lastModified) into.lastModified = from.lastModified;
+      into.edits += from.edits;
+      into.tools.push(...from.tools.filter(tool => !into.tools.includes(tool)));
+      into.linesAdded += from.linesAdded;
+      into.linesRemoved += from.linesRemoved;
+      if (from.package) into.package = from.package;
+      into.agents = [...new Set([...(into.agents || []), agentId])];
+    }
+    if (!mods.files.includes(file)) mods.files.push(file);
+  }
+  mods.count += subagent.count;
+  if (subagent.lastModified && !(mods.lastModified > subagent.lastModified)) {
+    mods.lastModified = subagent.lastModified;
+  }
+  subagent.rolledUp = true;
+}
+
+/**
+ * Roll up every subagent that hasn't been, e.g. one interrupted before
+ * its SubagentStop, before the session's record is archived
+ */
+function rollUpSubagents(mods) {
+  for (const agentId of Object.keys(mods.subagents || {})) {
+    rollUpSubagent(mods, agentId);
+  }
+}
+
+/**
+ * Subagents of the session in start order
+ * Returns [{ agentId, agentType, summary, startedAt, running, count, entries }] with
+ * entries ranked as by rankFiles
+ */
+function listSubagents(mods) {
+  return Object.entries((mods && mods.subagents) || {})
+    .map(([agentId, subagent]) => ({
+      agentId,
+      agentType: subagent.agentType,
+      summary: subagent.summary,
+      startedAt: subagent.startedAt,
+      running: !subagent.stoppedAt,
+      count: subagent.count,
+      entries: rankFiles(subagent)
+    }))
+    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+}
+
+/**
+ * One-line description of a listed subagent, e.g.
+ * "general-purpose a1b2c3 (2 files, 5 edits): Added the login route"
+ */
+function describeSubagent(entry) {
+  const label = `${entry.agentType || 'subagent'} ${entry.agentId}`;
+  const details = [`${entry.entries.length} file${entry.entries.length === 1 ? '' : 's'}`];
+  if (entry.count > 0) details.push(`${entry.count} edit${entry.count === 1 ? '' : 's'}`);
+  if (entry.running) details.push('not stopped');
+  const summary = entry.summary ? `: ${entry.summary}` : '';
+  return `${label} (${details.join(', ')})${summary}`;
+}
+
+/**
+ * Files ranked most-changed first: by lines changed, then edit count,
+ * then most recent edit. Returns [{ file, ...record }]
+ */
+function rankFiles(mods) {
+  const records = (mods && mods.records) || {};
+  return ((mods && mods.files) || [])
+    .map(file => ({
+      file,
+      edits: 0,
+      tools: [],
+      linesAdded: 0,
+      linesRemoved: 0,
+      lastModified: null,
+      ...records[file]
+    }))
+    .sort((a, b) =>
+      (b.linesAdded + b.linesRemoved) - (a.linesAdded + a.linesRemoved) ||
+      b.edits - a.edits ||
+      String(b.lastModified).localeCompare(String(a.lastModified))
+    );
+}
+
+/**
+ * One-line description of a ranked file, e.g. "src/app.js (3 edits, +12/-4, Edit)"
+ */
+function describeFile(entry) {
+  const details = [];
+  if (entry.edits > 0) details.push(`${entry.edits} edit${entry.edits === 1 ? '' : 's'}`);
+  if (entry.linesAdded > 0 || entry.linesRemoved > 0) {
+    details.push(`+${entry.linesAdded}/-${entry.linesRemoved}`);
+  }
+  if (entry.tools.length > 0) details.push(entry.tools.join('/'));
+  return details.length > 0 ? `${entry.file} (${details.join(', ')})` : entry.file;
+}
+
+/**
+ * Ranked files grouped by owning package, the workspace root first
+ * Returns [{ package, entries }]; files recorded without a package count
+ * as defaultPackage's
+ */
+function groupByPackage(mods, defaultPackage = '.') {
+  const groups = new Map();
+  for (const entry of rankFiles(mods)) {
+    const owner = entry.package || defaultPackage;
+    if (!groups.has(owner)) groups.set(owner, []);
+    groups.get(owner).push(entry);
+  }
+  return [...groups.keys()]
+    .sort((a, b) => (a !== '.') - (b !== '.') || a.localeCompare(b))
+    .map(owner => ({ package: owner, entries: groups.get(owner) }));
+}
+
+module.exports = {
+  emptyModifications,
+  lineDelta,
+  getEditDelta,
+  recordEdit,
+  getSubagent,
+  rollUpSubagent,
+  rollUpSubagents,
+  listSubagents,
+  describeSubagent,
+  rankFiles,
+  describeFile,
+  groupByPackage
+};
@@ -0,0 +1,168 @@
+/**
+ * progress-archive.js
+ *
+ * Retention for the Recent Work section of PROGRESS.md. Entries beyond
+ * recentWorkMaxEntries, or dated more than recentWorkMaxAgeDays ago, move
+ * to .claude/progress-archive/<YYYY-MM>.md by the month of their
+ * `### YYYY-MM-DD - Summary` heading. Entries without a date are never
+ * moved and don't count towards the limit.
+ *
+ * Archive files use the PROGRESS.md layout (a Recent Work section, newest
+ * entry first), so the same parser reads and searches them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseProgress,
+  serializeProgress,
+  readProgress,
+  updateProgress,
+  getSection,
+  getEntries,
+  insertEntry,
+  removeEntries
+} = require('./progress-file');
+const { withLock, writeFileAtomic } = require('./state-store');
+
+const ARCHIVE_DIR = 'progress-archive';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Archive directory inside a .claude directory
+ */
+function getArchiveDir(claudeDir) {
+  return path.join(claudeDir, ARCHIVE_DIR);
+}
+
+/**
+ * Check whether retention is configured
+ */
+function hasRetention(options) {
+  return Number.isInteger(options.maxEntries) || typeof options.maxAgeDays === 'number';
+}
+
+/**
+ * Dated entries to archive: past maxEntries (newest kept) or older than
+ * maxAgeDays
+ */
+function selectOverflow(entries, options, now = new Date()) {
+  const dated = entries.filter(entry => entry.date);
+  const newestFirst = [...dated].sort((a, b) => b.date.localeCompare(a.date));
+  const overflow = new Set();
+
+  if (Number.isInteger(options.maxEntries) && options.maxEntries >= 0) {
+    newestFirst.slice(options.maxEntries).forEach(entry => overflow.add(entry));
+  }
+  if (typeof options.maxAgeDays === 'number') {
+    const cutoff = new Date(now.getTime() - options.maxAgeDays * DAY_MS).toISOString().split('T')[0];
+    dated.filter(entry => entry.date < cutoff).forEach(entry => overflow.add(entry));
+  }
+  return entries.filter(entry => overflow.has(entry));
+}
+
+/**
+ * Write entry blocks into their monthly archive files
+ */
+function writeArchive(claudeDir, blocks) {
+  const byMonth = new Map();
+  for (const block of blocks) {
+    const month = block[0].match(/(\d{4}-\d{2})-\d{2}/)[1];
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(block);
+  }
+
+  const files = [];
+  for (const [month, monthBlocks] of byMonth) {
+    const file = path.join(getArchiveDir(claudeDir), `${month}.md`);
+    withLock(file, () => {
+      const doc = readProgress(file) || parseProgress(`# Progress Archive: ${month}\n`);
+      // Oldest first, so each lands above the older ones
+      for (const block of [...monthBlocks].reverse()) insertEntry(doc, block);
+      writeFileAtomic(file, serializeProgress(doc));
+    });
+    files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Move overflow Recent Work entries from PROGRESS.md to the archive
+ *
+ * options: { maxEntries, maxAgeDays, aliases (section aliases) }
+ * Returns { archived: [{ date, summary }], files } (nothing moved when
+ * retention isn't configured or PROGRESS.md is missing)
+ */
+function archiveRecentWork(claudeDir, options) {
+  const progressFile = path.join(claudeDir, 'PROGRESS.md');
+  const result = { archived: [], files: [] };
+  if (!hasRetention(options) || !fs.existsSync(progressFile)) return result;
+
+  updateProgress(progressFile, doc => {
+    const section = getSection(doc, 'Recent Work');
+    if (!section) return;
+    const overflow = selectOverflow(getEntries(doc, section), options);
+    if (overflow.length === 0) return;
+
+    // Archive first: if that fails PROGRESS.md is left as it was
+    const blocks = overflow.map(entry => trimBlock([section.lines[entry.start], ...entry.lines]));
+    result.files = writeArchive(claudeDir, blocks);
+    removeEntries(doc, section, overflow);
+    result.archived = overflow.map(entry => ({ date: entry.date, summary: entry.summary }));
+  }, { aliases: options.aliases });
+  return result;
+}
+
+/**
+ * Drop trailing blank lines from a block
+ */
+function trimBlock(block) {
+  let end = block.length;
+  while (end > 0 && !block[end - 1].trim()) end--;
+  return block.slice(0, end);
+}
+
+/**
+ * Search archived entries (and optionally the current PROGRESS.md) for
+ * entries containing every term, case-insensitively
+ * options: { includeCurrent, aliases }
+ * Returns [{ file, date, summary, text }], newest first
+ */
+function searchArchive(claudeDir, query, options = {}) {
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  const archiveDir = getArchiveDir(claudeDir);
+  const files = [];
+  if (options.includeCurrent !== false) files.push(path.join(claudeDir, 'PROGRESS.md'));
+  if (fs.existsSync(archiveDir)) {
+    files.push(...fs.readdirSync(archiveDir)
+      .filter(name => name.endsWith('.md'))
+      .sort()
+      .reverse()
+      .map(name => path.join(archiveDir, name)));
+  }
+
+  const matches = [];
+  for (const file of files) {
+    const doc = readProgress(file, { aliases: options.aliases });
+    const section = doc && getSection(doc, 'Recent Work');
+    if (!section) continue;
+    for (const entry of getEntries(doc, section)) {
+      const text = trimBlock([section.lines[entry.start], ...entry.lines]).join('\n');
+      const haystack = text.toLowerCase();
+      if (terms.every(term => haystack.includes(term))) {
+        matches.push({ file, date: entry.date, summary: entry.summary, text });
+      }
+    }
+  }
+  return matches.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  getArchiveDir,
+  hasRetention,
+  selectOverflow,
+  archiveRecentWork,
+  searchArchive
+};
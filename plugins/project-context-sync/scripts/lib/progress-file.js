@@ -0,0 +1,505 @@
+/**
+ * progress-file.js
+ *
+ * Parser and writer for .claude/PROGRESS.md, so hooks and the CLI can make
+ * deterministic edits instead of leaving every change to a prompt.
+ *
+ * The document keeps the file's raw lines: a preamble (title and anything
+ * before the first section) and one entry per section heading with the
+ * lines under it. serializeProgress(parseProgress(text)) === text for any
+ * input; edits only touch the lines they change.
+ *
+ * Sections are the headings at the level of the first recognised section
+ * (## by default). A section may also go by aliases (progressSections in
+ * context-sync.json), passed as { aliases: { name: [alias] } } when
+ * parsing; getSection() and checkSections() then match either. Inside a
+ * section:
+ * - entries are the next level of heading, e.g. `### 2025-01-15 - Summary`
+ * - fields are `**Name**: value` lines, e.g. `**Status**: Working`
+ * - list items are `- item` or `1. item` lines
+ */
+
+const fs = require('fs');
+const { withLock, writeFileAtomic } = require('./state-store');
+
+// Known sections in the order a new one is placed
+const SECTION_ORDER = ['Current State', 'Recent Work', 'Next Steps', 'Blockers'];
+
+const DEFAULT_LEVEL = 2;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const FIELD = /^\*\*([^*]+)\*\*:\s*(.*?)\s*$/;
+const LIST_ITEM = /^(?:[-*+]|\d+[.)])\s+(.*?)\s*$/;
+const CONTINUATION = /^\s+\S/;
+const ENTRY_TITLE = /^(\d{4}-\d{2}-\d{2})(?:\s*[-–—:]\s*(.*))?$/;
+const PLACEHOLDER = /^(?:\[.*\]|_?none(?: identified| yet| so far)?\.?_?)$/i;
+
+/**
+ * Normalise a heading title for matching section names
+ */
+function normalizeTitle(title) {
+  return title.trim().replace(/:$/, '').trim().toLowerCase();
+}
+
+/**
+ * Check whether a heading title names a section or one of its aliases
+ * (prefix match, so "Current State (as of Friday)" counts as Current State)
+ */
+function titleMatches(title, name, aliases = {}) {
+  const normalized = normalizeTitle(title);
+  return [name, ...(aliases[name] || [])].some(n => normalized.startsWith(n.toLowerCase()));
+}
+
+/**
+ * Headings outside fenced code blocks: [{ index, level, title }]
+ */
+function scanHeadings(lines) {
+  const headings = [];
+  let inFence = false;
+  lines.forEach((line, index) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    const match = !inFence && line.match(HEADING);
+    if (match) headings.push({ index, level: match[1].length, title: match[2] });
+  });
+  return headings;
+}
+
+/**
+ * Parse PROGRESS.md content
+ * options: { aliases }
+ * Returns { level, preamble, sections: [{ title, heading, lines }], trailingNewline, aliases }
+ */
+function parseProgress(content, options = {}) {
+  const text = content || '';
+  const aliases = options.aliases || {};
+  const trailingNewline = text.endsWith('\n');
+  const lines = (trailingNewline ? text.slice(0, -1) : text).split('\n');
+  const headings = scanHeadings(lines);
+
+  const known = headings.filter(h => SECTION_ORDER.some(name => titleMatches(h.title, name, aliases)));
+  const level = known.length > 0 ? Math.min(...known.map(h => h.level)) : DEFAULT_LEVEL;
+  const starts = headings.filter(h => h.level === level);
+
+  const sections = starts.map((heading, i) => ({
+    title: heading.title,
+    heading: lines[heading.index],
+    lines: lines.slice(heading.index + 1, i + 1 < starts.length ? starts[i + 1].index : lines.length)
+  }));
+
+  return {
+    level,
+    preamble: lines.slice(0, starts.length > 0 ? starts[0].index : lines.length),
+    sections,
+    trailingNewline,
+    aliases
+  };
+}
+
+/**
+ * Write a parsed document back to text
+ */
+function serializeProgress(doc) {
+  const lines = [...doc.preamble];
+  for (const section of doc.sections) {
+    lines.push(section.heading, ...section.lines);
+  }
+  return lines.join('\n') + (doc.trailingNewline ? '\n' : '');
+}
+
+/**
+ * Find a section by name, or null
+ */
+function getSection(doc, name) {
+  return doc.sections.find(section => titleMatches(section.title, name, doc.aliases)) || null;
+}
+
+/**
+ * Check which sections exist; headings at any level and bold labels
+ * (`**Current State**`) count, as they always have, under the section's
+ * name or an alias
+ */
+function checkSections(content, required, aliases = {}) {
+  const lines = (content || '').split('\n');
+  const titles = scanHeadings(lines).map(h => h.title);
+  const found = [];
+  const missing = [];
+
+  for (const name of required) {
+    const names = [name, ...(aliases[name] || [])];
+    const pattern = names.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const bold = new RegExp(`\\*\\*(?:${pattern})\\*\\*`, 'i');
+    if (titles.some(title => titleMatches(title, name, aliases)) || bold.test(content || '')) {
+      found.push(name);
+    } else {
+      missing.push(name);
+    }
+  }
+  return { found, missing };
+}
+
+/**
+ * Index just past the last non-blank line
+ */
+function contentEnd(lines) {
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1].trim()) end--;
+  return end;
+}
+
+/**
+ * Insert a block of lines, adding blank lines so it's separated from its
+ * neighbours (index 0 sits right under the section heading)
+ */
+function insertBlock(lines, index, block) {
+  // Keep the blank line that already follows the heading
+  if (index === 0 && lines.length > 0 && !lines[0].trim()) index = 1;
+  const before = index === 0 || lines[index - 1].trim() ? [''] : [];
+  const after = index < lines.length && lines[index].trim() ? [''] : [];
+  lines.splice(index, 0, ...before, ...block, ...after);
+}
+
+/**
+ * Make sure a section that isn't the last one ends with a blank line
+ */
+function separate(doc, section) {
+  const last = doc.sections[doc.sections.length - 1] === section;
+  if (!last && (section.lines.length === 0 || section.lines[section.lines.length - 1].trim())) {
+    section.lines.push('');
+  }
+}
+
+/**
+ * Find a section, creating it in SECTION_ORDER position when missing
+ */
+function ensureSection(doc, name) {
+  const existing = getSection(doc, name);
+  if (existing) return existing;
+
+  const section = { title: name, heading: `${'#'.repeat(doc.level)} ${name}`, lines: [] };
+  const rank = SECTION_ORDER.indexOf(name);
+  let index = doc.sections.length;
+  if (rank !== -1) {
+    // After the last section that comes before it, else before the first
+    // one that comes after it
+    const ranked = doc.sections.map(s => SECTION_ORDER.findIndex(n => titleMatches(s.title, n, doc.aliases)));
+    const previous = ranked.reduce((found, r, i) => (r !== -1 && r < rank ? i : found), -1);
+    const following = ranked.findIndex(r => r > rank);
+    index = previous !== -1 ? previous + 1 : (following !== -1 ? following : index);
+  }
+
+  // Keep a blank line between the new heading and what precedes it
+  const above = index > 0 ? doc.sections[index - 1].lines : doc.preamble;
+  if (above.length > 0 && above[above.length - 1].trim()) above.push('');
+  doc.sections.splice(index, 0, section);
+  return section;
+}
+
+/**
+ * Entries (next-level headings) of a section:
+ * [{ title, date, summary, start, end }] with line indices into section.lines
+ */
+function getEntries(doc, section) {
+  const entries = scanHeadings(section.lines)
+    .filter(h => h.level === doc.level + 1)
+    .map(h => {
+      const match = h.title.match(ENTRY_TITLE);
+      return {
+        title: h.title,
+        date: match ? match[1] : null,
+        summary: match ? (match[2] || '') : h.title,
+        start: h.index
+      };
+    });
+  entries.forEach((entry, i) => {
+    entry.end = i + 1 < entries.length ? entries[i + 1].start : contentEnd(section.lines);
+    entry.lines = section.lines.slice(entry.start + 1, entry.end);
+  });
+  return entries;
+}
+
+/**
+ * Value of a `**Name**: value` field in a section, or null
+ */
+function getField(section, name) {
+  for (const line of section ? section.lines : []) {
+    const match = line.match(FIELD);
+    if (match && match[1].trim().toLowerCase() === name.toLowerCase()) return match[2];
+  }
+  return null;
+}
+
+/**
+ * Set a `**Name**: value` field, in place or at the top of the section
+ */
+function setField(section, name, value) {
+  const line = `**${name}**: ${value}`;
+  const index = section.lines.findIndex(l => {
+    const match = l.match(FIELD);
+    return match && match[1].trim().toLowerCase() === name.toLowerCase();
+  });
+  if (index !== -1) {
+    section.lines[index] = line;
+    return;
+  }
+  let top = 0;
+  while (top < section.lines.length && !section.lines[top].trim()) top++;
+  insertBlock(section.lines, top < section.lines.length ? top : 0, [line]);
+}
+
+/**
+ * Top-level list items of a section: [{ text, start, end }]
+ * (end is past the item's indented continuation lines)
+ */
+function getListItems(section) {
+  const items = [];
+  const lines = section ? section.lines : [];
+  let inFence = false;
+  for (let i = 0; i < lines.length; i++) {
+    if (FENCE.test(lines[i])) inFence = !inFence;
+    const match = !inFence && lines[i].match(LIST_ITEM);
+    if (!match) continue;
+    let end = i + 1;
+    while (end < lines.length && CONTINUATION.test(lines[end])) end++;
+    items.push({ text: match[1], start: i, end });
+    i = end - 1;
+  }
+  return items;
+}
+
+/**
+ * Remove lines from start to end without leaving two blank lines where
+ * they were
+ */
+function removeLines(lines, start, end) {
+  lines.splice(start, end - start);
+  if (start > 0 && start < lines.length && !lines[start - 1].trim() && !lines[start].trim()) {
+    lines.splice(start, 1);
+  }
+}
+
+/**
+ * Remove placeholder lines ("[Describe ...]", "None identified") from a
+ * section; code blocks and every other line are left alone
+ */
+function clearPlaceholders(section) {
+  let inFence = false;
+  for (let i = 0; i < section.lines.length; i++) {
+    const line = section.lines[i];
+    if (FENCE.test(line)) inFence = !inFence;
+    const text = line.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+    if (inFence || !text || !PLACEHOLDER.test(text)) continue;
+    removeLines(section.lines, i, i + 1);
+    i--;
+  }
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Insert an entry's raw lines (heading first) into Recent Work, above the
+ * first entry that isn't newer; returns false when an identical entry is
+ * already there
+ */
+function insertEntry(doc, block) {
+  const section = ensureSection(doc, 'Recent Work');
+  const lines = [block[0].replace(/^#+/, '#'.repeat(doc.level + 1)), ...block.slice(1)];
+  const text = lines.join('\n').trim();
+  const entries = getEntries(doc, section);
+  if (entries.some(e => [section.lines[e.start], ...e.lines].join('\n').trim() === text)) return false;
+
+  const match = lines[0].match(HEADING);
+  const date = match && (match[2].match(ENTRY_TITLE) || [])[1];
+  if (entries.length === 0) clearPlaceholders(section);
+  const next = date ? entries.find(e => e.date && e.date <= date) : null;
+  insertBlock(section.lines, next ? next.start : contentEnd(section.lines), lines);
+  separate(doc, section);
+  return true;
+}
+
+/**
+ * Remove entries from a section; returns each one's raw lines (heading
+ * first, trailing blank lines dropped) in document order
+ */
+function removeEntries(doc, section, entries) {
+  const blocks = [];
+  // Bottom up, so the indices of the entries above stay valid
+  for (const entry of [...entries].sort((a, b) => b.start - a.start)) {
+    const removed = section.lines.splice(entry.start, entry.end - entry.start);
+    blocks.unshift(removed.slice(0, contentEnd(removed)));
+    // Don't leave two blank lines where the entry was
+    const at = entry.start;
+    if (at > 0 && at < section.lines.length && !section.lines[at - 1].trim() && !section.lines[at].trim()) {
+      section.lines.splice(at, 1);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Add a Recent Work entry above the existing ones (newest first)
+ *
+ * entry: { summary, date (default today), details: [bullet text] }
+ */
+function appendRecentWork(doc, entry) {
+  insertEntry(doc, [
+    `${'#'.repeat(doc.level + 1)} ${entry.date || today()} - ${entry.summary}`,
+    ...(entry.details || []).map(detail => `- ${detail}`)
+  ]);
+}
+
+/**
+ * Set the Current State `**Status**` field
+ */
+function setStatus(doc, status) {
+  const section = ensureSection(doc, 'Current State');
+  setField(section, 'Status', status);
+  separate(doc, section);
+}
+
+/**
+ * Replace the Next Steps list with a numbered list; prose around it stays
+ */
+function replaceNextSteps(doc, steps) {
+  const section = ensureSection(doc, 'Next Steps');
+  clearPlaceholders(section);
+  const block = steps.map((step, i) => `${i + 1}. ${step}`);
+
+  // Group the items into lists: items separated only by blank lines
+  const lists = [];
+  for (const item of getListItems(section)) {
+    const list = lists[lists.length - 1];
+    if (list && section.lines.slice(list.end, item.start).every(line => !line.trim())) {
+      list.end = item.end;
+    } else {
+      lists.push({ start: item.start, end: item.end });
+    }
+  }
+
+  if (lists.length > 0) {
+    // The steps take the first list's place; prose between lists stays
+    for (const list of lists.slice(1).reverse()) removeLines(section.lines, list.start, list.end);
+    if (block.length > 0) {
+      section.lines.splice(lists[0].start, lists[0].end - lists[0].start, ...block);
+    } else {
+      removeLines(section.lines, lists[0].start, lists[0].end);
+    }
+  } else if (block.length > 0) {
+    insertBlock(section.lines, contentEnd(section.lines), block);
+  }
+  separate(doc, section);
+}
+
+/**
+ * Add a blocker to the Blockers section (created when missing); returns
+ * false when it's already listed
+ */
+function addBlocker(doc, text) {
+  const section = ensureSection(doc, 'Blockers');
+  const items = getListItems(section);
+  if (items.some(item => item.text === text)) return false;
+
+  clearPlaceholders(section);
+  const current = getListItems(section);
+  if (current.length > 0) {
+    section.lines.splice(current[current.length - 1].end, 0, `- ${text}`);
+  } else {
+    insertBlock(section.lines, contentEnd(section.lines), [`- ${text}`]);
+  }
+  separate(doc, section);
+  return true;
+}
+
+/**
+ * Add a Recent Work entry for a completed work item, unless one exists
+ * for it already; returns whether an entry was added
+ */
+function recordCompletedItem(doc, item, date = today()) {
+  const section = getSection(doc, 'Recent Work');
+  const pattern = new RegExp(`\\bCompleted ${item.id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+  if (section && getEntries(doc, section).some(entry => pattern.test(entry.summary))) {
+    return false;
+  }
+  appendRecentWork(doc, {
+    date,
+    summary: `Completed ${item.id}: ${item.description}`,
+    details: item.acceptanceCriteria || []
+  });
+  return true;
+}
+
+/**
+ * Structured view of a document
+ */
+function describeProgress(doc) {
+  const recent = getSection(doc, 'Recent Work');
+  return {
+    sections: doc.sections.map(section => section.title),
+    status: getField(getSection(doc, 'Current State'), 'Status'),
+    recentWork: recent
+      ? getEntries(doc, recent).map(entry => ({ date: entry.date, summary: entry.summary }))
+      : [],
+    nextSteps: getListItems(getSection(doc, 'Next Steps')).map(item => item.text),
+    blockers: getListItems(getSection(doc, 'Blockers')).map(item => item.text)
+  };
+}
+
+/**
+ * Read and parse a PROGRESS.md file, or null when it doesn't exist
+ * options: as for parseProgress
+ */
+function readProgress(file, options = {}) {
+  try {
+    return parseProgress(fs.readFileSync(file, 'utf8'), options);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Locked read-modify-write of a PROGRESS.md file; update(doc) edits the
+ * parsed document. A missing file starts from a "# Project Progress" title.
+ * The file is only written when its content changed. Returns the document.
+ * options: as for parseProgress
+ */
+function updateProgress(file, update, options = {}) {
+  return withLock(file, () => {
+    const existing = readProgress(file, options);
+    const original = existing ? serializeProgress(existing) : null;
+    const doc = existing || parseProgress('# Project Progress\n', options);
+    update(doc);
+    const content = serializeProgress(doc);
+    if (content !== original) writeFileAtomic(file, content);
+    return doc;
+  });
+}
+
+module.exports = {
+  SECTION_ORDER,
+  parseProgress,
+  serializeProgress,
+  checkSections,
+  getSection,
+  ensureSection,
+  getEntries,
+  getField,
+  setField,
+  getListItems,
+  insertEntry,
+  removeEntries,
+  appendRecentWork,
+  setStatus,
+  replaceNextSteps,
+  addBlocker,
+  recordCompletedItem,
+  describeProgress,
+  readProgress,
+  updateProgress
+};
@@ -0,0 +1,120 @@
+/**
+ * progress-sections.js
+ *
+ * The PROGRESS.md section definition shared by SessionStart, the Stop hook
+ * validation and the CLI. By default Current State, Recent Work and Next
+ * Steps are required and Blockers is optional; `progressSections` in
+ * context-sync.json replaces the list:
+ *
+ *   "progressSections": [
+ *     "Current State",
+ *     { "name": "Next Steps", "aliases": ["TODO"] },
+ *     { "name": "Blockers", "required": false },
+ *     { "name": "Architecture Decisions", "template": "## Architecture Decisions\n\n- [Decision]: [why]\n" }
+ *   ]
+ *
+ * A string is a required section. Objects take `required` (default true),
+ * `aliases` (other headings that count as the section) and `template` (the
+ * repair text for a missing section; `{date}` becomes today's date).
+ * Sections named like a default keep its template unless given their own.
+ */
+
+const DEFAULT_TEMPLATES = {
+  'Current State': `## Current State
+
+**Status**: [Working | Partially Working | Broken]
+
+[Describe current project state]
+`,
+  'Recent Work': `## Recent Work
+
+### {date} - [Summary]
+- [What was done]
+`,
+  'Next Steps': `## Next Steps
+
+1. [Next priority task]
+`,
+  'Blockers': `## Blockers
+
+- [What is blocked and why]
+`
+};
+
+const DEFAULT_SECTIONS = [
+  { name: 'Current State', required: true, aliases: [] },
+  { name: 'Recent Work', required: true, aliases: [] },
+  { name: 'Next Steps', required: true, aliases: [] },
+  { name: 'Blockers', required: false, aliases: [] }
+];
+
+/**
+ * Normalise one progressSections entry, or null when it's unusable
+ */
+function normalizeSection(entry) {
+  const section = typeof entry === 'string' ? { name: entry } : entry;
+  if (!section || typeof section.name !== 'string' || !section.name.trim()) return null;
+  return {
+    name: section.name.trim(),
+    required: section.required !== false,
+    aliases: Array.isArray(section.aliases)
+      ? section.aliases.filter(alias => typeof alias === 'string' && alias.trim())
+      : [],
+    template: typeof section.template === 'string' ? section.template : null
+  };
+}
+
+/**
+ * Section definitions from config (progressSections), or the defaults
+ * Returns [{ name, required, aliases, template }]
+ */
+function loadSections(config) {
+  const configured = Array.isArray(config.progressSections)
+    ? config.progressSections.map(normalizeSection).filter(Boolean)
+    : [];
+  // The first definition of a name wins
+  const unique = configured.filter((section, i) =>
+    configured.findIndex(other => other.name.toLowerCase() === section.name.toLowerCase()) === i);
+  const sections = unique.length > 0 ? unique : DEFAULT_SECTIONS;
+  return sections.map(section => ({
+    ...section,
+    template: section.template || DEFAULT_TEMPLATES[section.name] || null
+  }));
+}
+
+/**
+ * Names of the required sections
+ */
+function getRequiredSections(sections) {
+  return sections.filter(section => section.required).map(section => section.name);
+}
+
+/**
+ * Aliases by section name, for the PROGRESS.md parser
+ */
+function getAliases(sections) {
+  const aliases = {};
+  for (const section of sections) {
+    if (section.aliases.length > 0) aliases[section.name] = section.aliases;
+  }
+  return aliases;
+}
+
+/**
+ * Repair text for missing sections, in definition order
+ */
+function generateRepairTemplate(sections, missing) {
+  const date = new Date().toISOString().split('T')[0];
+  return sections
+    .filter(section => missing.includes(section.name))
+    .map(section => (section.template || `## ${section.name}\n\n[${section.name}]\n`).replace(/\{date\}/g, date))
+    .join('\n');
+}
+
+module.exports = {
+  DEFAULT_SECTIONS,
+  loadSections,
+  getRequiredSections,
+  getAliases,
+  generateRepairTemplate
+};
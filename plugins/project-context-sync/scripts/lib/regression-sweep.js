@@ -0,0 +1,178 @@
+/**
+ * regression-sweep.js
+ *
+ * Re-runs the required verifications of completed work items at session start.
+ *
+ * Modes (config.regressionMode):
+ * - "last":   only the most recently completed item (the original smoke test)
+ * - "all":    every completed item, oldest first, until the time budget runs out
+ * - "rotate": like "all", but each session resumes after the item the previous
+ *             sweep stopped at, so large plans are covered over several sessions
+ *
+ * Results are cached per item by git working-tree hash in
+ * .context-state/regression-cache.json, so an unchanged tree skips work.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { runVerifications } = require('./verification');
+const { loadHistory, recordRuns, annotateFailures } = require('./verification-history');
+const { getHead, getWorkingTreeHash } = require('./git');
+const { getItems } = require('./features');
+const { readJson, writeJson } = require('./state-store');
+
+const MODES = ['last', 'all', 'rotate'];
+
+// Plugin-managed paths left out of the tree hash
+const HASH_EXCLUDES = ['.claude/.context-state', '.claude/logs'];
+
+/**
+ * Write a JSON state file, ignoring failures
+ */
+function writeCache(file, data) {
+  try {
+    writeJson(file, data);
+  } catch (e) {
+    // Cache is best-effort
+  }
+}
+
+/**
+ * Fingerprint an item's required verification commands, so editing them
+ * invalidates cached results
+ */
+function fingerprintVerification(verifications) {
+  return crypto.createHash('sha1').update(JSON.stringify(verifications)).digest('hex');
+}
+
+/**
+ * Completed items with required verification, oldest completion first
+ */
+function getSweepCandidates(featureList) {
+  return getItems(featureList)
+    .filter(item => item.status === 'complete' && Array.isArray(item.verification) &&
+      item.verification.some(v => !v.optional))
+    .sort((a, b) => new Date(a.completedAt || 0) - new Date(b.completedAt || 0));
+}
+
+/**
+ * Pick the items to sweep for the configured mode
+ */
+function selectItems(candidates, mode, cursor) {
+  if (mode === 'last') {
+    const withDates = candidates.filter(item => item.completedAt);
+    return withDates.length > 0 ? [withDates[withDates.length - 1]] : [];
+  }
+
+  if (mode === 'rotate' && cursor) {
+    const index = candidates.findIndex(item => item.id === cursor);
+    if (index >= 0) {
+      return [...candidates.slice(index + 1), ...candidates.slice(0, index + 1)];
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Run the regression sweep for one feature plan
+ *
+ * options: { projectRoot, stateDir, sessionId, mode, timeout, concurrency, budget }
+ * Returns { mode, treeHash, rows } where each row is
+ * { itemId, description, status: 'pass'|'fail'|'not-run', cached, tests, duration }
+ */
+async function runRegressionSweep(feature, options) {
+  const mode = MODES.includes(options.mode) ? options.mode : 'last';
+  const cacheFile = path.join(options.stateDir, 'regression-cache.json');
+  const stateFile = path.join(options.stateDir, 'regression-state.json');
+
+  const candidates = getSweepCandidates(feature.featureList);
+  const sweepState = readJson(stateFile, {});
+  const cursorKey = feature.slug;
+  const items = selectItems(candidates, mode, (sweepState.cursors || {})[cursorKey]);
+  if (items.length === 0) return null;
+
+  const treeHash = getWorkingTreeHash(options.projectRoot, HASH_EXCLUDES);
+  const gitHead = getHead(options.projectRoot);
+  const cache = readJson(cacheFile, {});
+  const history = loadHistory(options.stateDir);
+  const deadline = options.budget ? Date.now() + options.budget * 1000 : null;
+  const rows = [];
+  let lastChecked = null;
+
+  for (const item of items) {
+    const required = item.verification.filter(v => !v.optional);
+    const cacheKey = `${feature.slug}/${item.id}`;
+    const fingerprint = fingerprintVerification(required);
+    const cached = cache[cacheKey];
+
+    if (treeHash && cached && cached.treeHash === treeHash && cached.fingerprint === fingerprint) {
+      rows.push({ ...cached.row, cached: true });
+      lastChecked = item.id;
+      continue;
+    }
+
+    const remaining = deadline ? (deadline - Date.now()) / 1000 : null;
+    if (remaining !== null && remaining <= 0) {
+      rows.push({ itemId: item.id, description: item.description, status: 'not-run', cached: false, tests: [], duration: 0 });
+      continue;
+    }
+
+    const startTime = Date.now();
+    const tests = await runVerifications(required, {
+      projectRoot: options.projectRoot,
+      defaultTimeout: options.timeout,
+      concurrency: options.concurrency,
+      budget: remaining
+    });
+
+    annotateFailures(history, item.id, tests);
+    recordRuns(options.stateDir, {
+      source: 'regression-sweep',
+      feature: feature.slug,
+      itemId: item.id,
+      sessionId: options.sessionId,
+      gitHead
+    }, tests);
+
+    const ran = tests.filter(t => !t.skipped);
+    const row = {
+      itemId: item.id,
+      description: item.description,
+      status: ran.length < tests.length ? 'not-run' : (tests.every(t => t.passed) ? 'pass' : 'fail'),
+      cached: false,
+      tests: tests.map(t => ({
+        description: t.description,
+        command: t.command,
+        passed: t.passed,
+        skipped: t.skipped || false,
+        error: t.error,
+        history: t.history || null
+      })),
+      duration: Date.now() - startTime
+    };
+    // A partial run ending in failure still counts as a failure
+    if (row.status === 'not-run' && ran.some(t => !t.passed)) row.status = 'fail';
+    rows.push(row);
+
+    // Advance the rotation even when the budget cut this item short, so
+    // one slow item can't stall the sweep
+    lastChecked = item.id;
+    if (row.status !== 'not-run' && treeHash) {
+      cache[cacheKey] = { treeHash, fingerprint, checkedAt: new Date().toISOString(), row };
+    }
+  }
+
+  writeCache(cacheFile, cache);
+  if (mode === 'rotate' && lastChecked) {
+    sweepState.cursors = { ...(sweepState.cursors || {}), [cursorKey]: lastChecked };
+    writeCache(stateFile, sweepState);
+  }
+
+  return { mode, treeHash, rows };
+}
+
+module.exports = {
+  MODES,
+  runRegressionSweep
+};
@@ -0,0 +1,173 @@
+/**
+ * schema.js
+ *
+ * Minimal JSON Schema (draft-07 subset) validator for the schemas shipped in
+ * schemas/. Supports type, required, properties, additionalProperties:
+ * false, items, enum, minimum, $ref to local definitions and the
+ * date-time format. Errors carry a JSON path such as $.items[2].status so
+ * they can be reported verbatim.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+// ISO 8601 date-time as required by RFC 3339
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/;
+
+const schemaCache = {};
+
+/**
+ * Load a schema from the plugin's schemas/ directory
+ */
+function loadSchema(name) {
+  if (!schemaCache[name]) {
+    schemaCache[name] = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), 'utf8'));
+  }
+  return schemaCache[name];
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type name
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Extend a JSON path with a property name or array index
+ */
+function childPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Resolve a local $ref such as #/definitions/WorkItem
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ */
+function validateNode(value, schema, root, jsonPath, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, jsonPath, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: jsonPath, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: jsonPath,
+      message: `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`
+    });
+  }
+
+  if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path: jsonPath, message: `must be >= ${schema.minimum} (got ${value})` });
+  }
+
+  if (schema.format === 'date-time' && typeof value === 'string' &&
+      (!DATE_TIME_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+    errors.push({ path: jsonPath, message: `must be an ISO 8601 date-time (got ${JSON.stringify(value)})` });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: childPath(jsonPath, key), message: 'is required' });
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        validateNode(value[key], propSchema, root, childPath(jsonPath, key), errors);
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value).filter(k => !(k in (schema.properties || {})))) {
+        errors.push({ path: childPath(jsonPath, key), message: 'is not a known property' });
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, index) => {
+      validateNode(entry, schema.items, root, childPath(jsonPath, index), errors);
+    });
+  }
+}
+
+/**
+ * Validate a value against a full schema document
+ * Returns an array of { path, message } errors (empty when valid)
+ */
+function validate(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * Validate a feature plan against schemas/feature-list.schema.json,
+ * plus the checks JSON Schema can't express (unique item IDs)
+ */
+function validateFeatureList(featureList) {
+  const errors = validate(featureList, loadSchema('feature-list.schema.json'));
+
+  if (featureList && Array.isArray(featureList.items)) {
+    const seen = new Map();
+    featureList.items.forEach((item, index) => {
+      if (!item || typeof item.id !== 'string') return;
+      if (seen.has(item.id)) {
+        errors.push({
+          path: `$.items[${index}].id`,
+          message: `duplicate item ID ${JSON.stringify(item.id)} (first used at $.items[${seen.get(item.id)}].id)`
+        });
+      } else {
+        seen.set(item.id, index);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Format an error for display
+ */
+function formatError(error) {
+  return `${error.path}: ${error.message}`;
+}
+
+module.exports = {
+  loadSchema,
+  validate,
+  validateFeatureList,
+  formatError
+};
@@ -0,0 +1,172 @@
+/**
+ * session-ledger.js
+ *
+ * Append-only history of sessions in .claude/.context-state/sessions.jsonl.
+ *
+ * Hooks append events as they run (start, modifications, subagent, stop,
+ * end, sync); the events for a session ID are folded into one entry
+ * recording start/end time, end reason, files modified, edit count, the
+ * work item covered, verification outcome, whether the Stop or SessionEnd
+ * sync ran, the rules and items of the last Stop block (blockKey), the
+ * subagents that ran (type, summary, files) and commits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { appendLines } = require('./state-store');
+
+/**
+ * Path of the ledger inside a state directory
+ */
+function getLedgerFile(stateDir) {
+  return path.join(stateDir, 'sessions.jsonl');
+}
+
+/**
+ * Append one event for a session (locked through the state store)
+ */
+function appendEvent(stateDir, type, sessionId, data = {}) {
+  if (!sessionId) return;
+  try {
+    const event = { type, sessionId, timestamp: new Date().toISOString(), ...data };
+    appendLines(getLedgerFile(stateDir), [JSON.stringify(event)]);
+  } catch (e) {
+    // Ledger is best-effort
+  }
+}
+
+/**
+ * Load every event, oldest first
+ */
+function loadEvents(stateDir) {
+  const file = getLedgerFile(stateDir);
+  if (!fs.existsSync(file)) return [];
+
+  const events = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      // Skip torn lines
+    }
+  }
+  return events;
+}
+
+/**
+ * Fold events into one entry per session, in start order
+ */
+function foldSessions(events) {
+  const sessions = new Map();
+
+  for (const event of events) {
+    if (!sessions.has(event.sessionId)) {
+      sessions.set(event.sessionId, {
+        sessionId: event.sessionId,
+        startTime: null,
+        endTime: null,
+        endReason: null,
+        startHead: null,
+        endHead: null,
+        filesModified: [],
+        editCount: 0,
+        workItem: null,
+        worktree: null,
+        verification: null,
+        stopSync: false,
+        sessionEndSync: false,
+        lastStopBlockKey: null,
+        subagents: [],
+        commits: []
+      });
+    }
+    const session = sessions.get(event.sessionId);
+
+    switch (event.type) {
+      case 'start':
+        session.startTime = session.startTime || event.timestamp;
+        session.startHead = event.gitHead || session.startHead;
+        if (event.workItem) session.workItem = event.workItem;
+        if (event.worktree) session.worktree = event.worktree;
+        break;
+      case 'modifications':
+        session.filesModified = event.files || session.filesModified;
+        session.editCount = Math.max(session.editCount, event.count || 0);
+        break;
+      case 'subagent':
+        session.subagents = session.subagents.filter(s => s.agentId !== event.agentId);
+        session.subagents.push({
+          agentId: event.agentId,
+          agentType: event.agentType || null,
+          summary: event.summary || null,
+          files: event.files || [],
+          count: event.count || 0
+        });
+        break;
+      case 'stop':
+        if (event.workItem) session.workItem = event.workItem;
+        if (event.verification) session.verification = event.verification;
+        if (event.files) session.filesModified = event.files;
+        session.editCount = Math.max(session.editCount, event.count || 0);
+        session.stopSync = session.stopSync || event.valid === true;
+        session.lastStopBlockKey = event.decision === 'block' ? event.blockKey || null : null;
+        break;
+      case 'end':
+        session.endTime = event.timestamp;
+        session.endReason = event.reason || null;
+        session.endHead = event.gitHead || session.endHead;
+        if (event.files) session.filesModified = event.files;
+        session.editCount = Math.max(session.editCount, event.count || 0);
+        if (event.commits) session.commits = event.commits;
+        if (event.worktree) session.worktree = event.worktree;
+        break;
+      case 'sync':
+        if (event.by === 'SessionEnd') session.sessionEndSync = true;
+        if (event.by === 'Stop') session.stopSync = true;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return [...sessions.values()];
+}
+
+/**
+ * Load the folded ledger
+ */
+function loadSessions(stateDir) {
+  return foldSessions(loadEvents(stateDir));
+}
+
+/**
+ * Get the folded entry for one session
+ */
+function getSession(stateDir, sessionId) {
+  return loadSessions(stateDir).find(s => s.sessionId === sessionId) || null;
+}
+
+/**
+ * Count sessions that worked on a feature, optionally counting the
+ * current session even if the ledger hasn't recorded its work item yet
+ */
+function countFeatureSessions(sessions, slug, currentSessionId) {
+  const ids = new Set(
+    sessions
+      .filter(s => s.workItem && s.workItem.feature === slug)
+      .map(s => s.sessionId)
+  );
+  if (currentSessionId) ids.add(currentSessionId);
+  return ids.size;
+}
+
+module.exports = {
+  getLedgerFile,
+  appendEvent,
+  loadEvents,
+  foldSessions,
+  loadSessions,
+  getSession,
+  countFeatureSessions
+};
@@ -0,0 +1,180 @@
+/**
+ * snapshot.js
+ *
+ * Cheap before/after snapshots of the project tree, used to find the files
+ * a Bash tool call changed.
+ *
+ * In a git repository the snapshot is the dirty paths from `git status`
+ * plus HEAD, with each path's mtime and size so a second edit to an
+ * already-modified file still shows up. Staging or committing a file
+ * leaves its mtime alone, so it isn't reported; a HEAD move (checkout,
+ * reset, pull) adds the clean files that differ between the two commits.
+ * Elsewhere the tree is walked and every file's mtime and size recorded,
+ * skipping IGNORED_DIRS. Paths are relative to the project root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./git');
+
+// Directories never walked or reported
+const IGNORED_DIRS = ['.git', 'node_modules', '.claude/.context-state', '.claude/logs'];
+
+// Files recorded by a filesystem walk before giving up
+const MAX_WALK_FILES = 20000;
+
+/**
+ * mtime/size signature of a file, or 'missing'
+ */
+function statSignature(file) {
+  try {
+    const stats = fs.statSync(file);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch (e) {
+    return 'missing';
+  }
+}
+
+/**
+ * Check if a relative path is inside an ignored directory
+ */
+function isIgnored(relativePath) {
+  const normalized = relativePath.split(path.sep).join('/');
+  return IGNORED_DIRS.some(dir => normalized === dir || normalized.startsWith(`${dir}/`));
+}
+
+/**
+ * Convert a repository-relative path to a project-relative one, or null
+ * when it lies outside the project or in an ignored directory
+ */
+function toProjectPath(topLevel, projectRoot, repoPath) {
+  const relative = path.relative(projectRoot, path.join(topLevel, repoPath));
+  if (relative.startsWith('..') || isIgnored(relative)) return null;
+  return relative;
+}
+
+/**
+ * Snapshot from `git status`, or null outside a repository
+ */
+function takeGitSnapshot(projectRoot) {
+  const topLevel = git(['rev-parse', '--show-toplevel'], projectRoot, 2000);
+  const status = git(['status', '--porcelain', '-z', '--untracked-files=all'], projectRoot, 4000, true);
+  if (!topLevel || status === null) return null;
+
+  const entries = {};
+  const tokens = status.split('\0');
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.length < 4) continue;
+    const code = token.slice(0, 2);
+    const paths = [token.slice(3)];
+    // Renames and copies are followed by the original path
+    if (code[0] === 'R' || code[0] === 'C') paths.push(tokens[++i]);
+
+    for (const repoPath of paths.filter(Boolean)) {
+      const file = toProjectPath(topLevel, projectRoot, repoPath);
+      if (file) entries[file] = statSignature(path.join(projectRoot, file));
+    }
+  }
+
+  return {
+    type: 'git',
+    topLevel,
+    head: git(['rev-parse', 'HEAD'], projectRoot, 2000),
+    entries,
+    truncated: false
+  };
+}
+
+/**
+ * Walk the project's files, skipping IGNORED_DIRS and anything
+ * `exclude(relativePath, isDirectory)` rejects
+ * Returns { files, truncated } with paths relative to the project root
+ */
+function walkFiles(projectRoot, exclude = () => false) {
+  const files = [];
+  let truncated = false;
+  const pending = [''];
+
+  while (pending.length > 0 && !truncated) {
+    const dir = pending.pop();
+    let names;
+    try {
+      names = fs.readdirSync(path.join(projectRoot, dir), { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const entry of names) {
+      const relative = dir ? path.join(dir, entry.name) : entry.name;
+      if (isIgnored(relative)) continue;
+      if (entry.isDirectory()) {
+        if (!exclude(relative, true)) pending.push(relative);
+      } else if (entry.isFile() && !exclude(relative, false)) {
+        files.push(relative);
+        if (files.length >= MAX_WALK_FILES) {
+          truncated = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { files, truncated };
+}
+
+/**
+ * Snapshot by walking the tree
+ */
+function takeWalkSnapshot(projectRoot) {
+  const { files, truncated } = walkFiles(projectRoot);
+  const entries = {};
+  for (const file of files) {
+    entries[file] = statSignature(path.join(projectRoot, file));
+  }
+  return { type: 'walk', topLevel: null, head: null, entries, truncated };
+}
+
+/**
+ * Take a snapshot of the project: git status when available, otherwise a walk
+ */
+function takeSnapshot(projectRoot) {
+  return takeGitSnapshot(projectRoot) || takeWalkSnapshot(projectRoot);
+}
+
+/**
+ * Files that differ between two snapshots of the same project, sorted
+ */
+function diffSnapshots(before, after, projectRoot) {
+  const changed = new Set();
+  const keys = new Set([...Object.keys(before.entries), ...Object.keys(after.entries)]);
+  for (const key of keys) {
+    if (!(key in before.entries) || before.type === 'walk') {
+      if (before.entries[key] !== after.entries[key]) changed.add(key);
+    } else {
+      // Dirty before: changed only if the file itself was touched, not
+      // when it was merely staged or committed
+      const now = key in after.entries ? after.entries[key] : statSignature(path.join(projectRoot, key));
+      if (before.entries[key] !== now) changed.add(key);
+    }
+  }
+
+  // A moved HEAD changes files that are clean on both sides
+  if (before.type === 'git' && before.head && after.head && before.head !== after.head) {
+    const diff = git(['diff', '--name-only', before.head, after.head], projectRoot, 4000);
+    for (const repoPath of diff ? diff.split('\n') : []) {
+      const file = repoPath && toProjectPath(before.topLevel, projectRoot, repoPath);
+      if (file && !(file in before.entries) && !(file in after.entries)) changed.add(file);
+    }
+  }
+
+  return [...changed].sort();
+}
+
+module.exports = {
+  IGNORED_DIRS,
+  MAX_WALK_FILES,
+  statSignature,
+  walkFiles,
+  takeSnapshot,
+  diffSnapshots
+};
@@ -0,0 +1,282 @@
+/**
+ * state-store.js
+ *
+ * Concurrency-safe JSON state files for hooks that may run at the same time
+ * (back-to-back PostToolUse calls, parallel subagents, several sessions).
+ *
+ * - Writes go to a temp file in the same directory and are renamed into
+ *   place, so readers never see a half-written file
+ * - Read-modify-write runs under an advisory lock, created exclusively.
+ *   Locks live in .claude/.context-state/locks/ (`<path>.lock`, the path
+ *   relative to .claude/ with slashes as `__`), so locking PROGRESS.md or
+ *   a feature plan leaves nothing next to committed files; a file outside
+ *   any .claude/ gets `<file>.lock` beside it
+ * - A lock whose owner died or that is older than LOCK_STALE_MS is taken
+ *   over. The takeover runs under its own exclusive `.takeover` file and
+ *   re-checks the lock there, so two waiters can't both remove a lock and
+ *   remove each other's fresh one; a lock is only released by its owner
+ * - Logs (the session ledger) are appended to under the same lock
+ * - A file that fails to parse is renamed to `<file>.corrupt-<time>` and
+ *   treated as missing, so the data is kept for inspection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Lock held longer than this is assumed abandoned
+const LOCK_STALE_MS = 10000;
+
+// How long to wait for a lock before giving up
+const LOCK_TIMEOUT_MS = 3000;
+
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Error raised when a lock can't be acquired in time
+ */
+class LockTimeoutError extends Error {
+  constructor(file) {
+    super(`Timed out waiting for lock on ${file}`);
+    this.name = 'LockTimeoutError';
+  }
+}
+
+/**
+ * Block the thread for a few milliseconds (hooks are synchronous scripts)
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process on this host is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Lock file for a file: under the nearest .claude/'s context state, or
+ * next to the file outside .claude/
+ */
+function getLockFile(file) {
+  const resolved = path.resolve(file);
+  const parts = resolved.split(path.sep);
+  const claudeIndex = parts.lastIndexOf('.claude');
+  if (claudeIndex === -1) return `${resolved}.lock`;
+
+  const claudeDir = parts.slice(0, claudeIndex + 1).join(path.sep) || path.sep;
+  const relative = parts.slice(claudeIndex + 1);
+  if (relative[0] === '.context-state') return `${resolved}.lock`;
+  return path.join(claudeDir, '.context-state', 'locks', `${relative.join('__')}.lock`);
+}
+
+/**
+ * Check whether an existing lock file was abandoned
+ */
+function isStaleLock(lockFile) {
+  try {
+    const stats = fs.statSync(lockFile);
+    if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) return true;
+
+    const owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    return owner.host === os.hostname() && !isProcessAlive(owner.pid);
+  } catch (e) {
+    // Vanished or unreadable mid-write: let the next attempt decide
+    return false;
+  }
+}
+
+/**
+ * Create a file exclusively with the given content; false if it exists
+ */
+function createExclusive(file, content) {
+  try {
+    const fd = fs.openSync(file, 'wx');
+    fs.writeSync(fd, content);
+    fs.closeSync(fd);
+    return true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    return false;
+  }
+}
+
+/**
+ * Remove a stale lock. Only one waiter at a time may do this (holding
+ * `<lock>.takeover`), and it re-checks the lock first: while the stale
+ * lock exists nobody else can create one, so what it removes is the lock
+ * it found stale. A takeover file left by a waiter that died mid-takeover
+ * is cleared once it's older than LOCK_STALE_MS.
+ */
+function takeOverStaleLock(lockFile) {
+  const takeoverFile = `${lockFile}.takeover`;
+  if (!createExclusive(takeoverFile, String(process.pid))) {
+    try {
+      if (Date.now() - fs.statSync(takeoverFile).mtimeMs > LOCK_STALE_MS) fs.unlinkSync(takeoverFile);
+    } catch (e) {
+      // Finished meanwhile
+    }
+    return;
+  }
+  try {
+    if (isStaleLock(lockFile)) fs.unlinkSync(lockFile);
+  } catch (e) {
+    // Released meanwhile
+  } finally {
+    try { fs.unlinkSync(takeoverFile); } catch (e) { /* already cleared */ }
+  }
+}
+
+/**
+ * Acquire the advisory lock for a file; returns a release function
+ */
+function acquireLock(file, timeoutMs = LOCK_TIMEOUT_MS) {
+  const lockFile = getLockFile(file);
+  const deadline = Date.now() + timeoutMs;
+  const owner = JSON.stringify({
+    pid: process.pid,
+    host: os.hostname(),
+    createdAt: new Date().toISOString(),
+    token: Math.random().toString(36).slice(2)
+  });
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+  for (;;) {
+    if (createExclusive(lockFile, owner)) {
+      return () => {
+        // A lock taken over as stale belongs to someone else now
+        try {
+          if (fs.readFileSync(lockFile, 'utf8') === owner) fs.unlinkSync(lockFile);
+        } catch (e) {
+          // Already released
+        }
+      };
+    }
+
+    if (isStaleLock(lockFile)) {
+      takeOverStaleLock(lockFile);
+      if (!fs.existsSync(lockFile)) continue;
+    }
+    if (Date.now() >= deadline) throw new LockTimeoutError(file);
+    sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Run fn while holding the lock for a file
+ */
+function withLock(file, fn) {
+  const release = acquireLock(file);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Move a corrupt file aside, keeping it as a backup
+ */
+function quarantine(file) {
+  const backup = `${file}.corrupt-${Date.now()}`;
+  try {
+    fs.renameSync(file, backup);
+    return backup;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a JSON file; missing files give the fallback, corrupt ones are
+ * quarantined and give the fallback too
+ */
+function readJson(file, fallback = null) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    quarantine(file);
+    return fallback;
+  }
+}
+
+/**
+ * Write a file atomically via a temp file and rename
+ */
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`
+  );
+  try {
+    fs.writeFileSync(temp, content, 'utf8');
+    fs.renameSync(temp, file);
+  } catch (e) {
+    try { fs.unlinkSync(temp); } catch (cleanup) { /* never created */ }
+    throw e;
+  }
+}
+
+/**
+ * Write JSON atomically
+ */
+function writeJson(file, data) {
+  writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Append lines to a log file under its lock, so an append never lands in
+ * the middle of another process's or is lost to a rewrite of the log
+ */
+function appendLines(file, lines) {
+  if (lines.length === 0) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  withLock(file, () => {
+    fs.appendFileSync(file, lines.join('\n') + '\n', 'utf8');
+  });
+}
+
+/**
+ * Locked read-modify-write of a JSON file
+ *
+ * update(current) may mutate and/or return the new value; `fallback` is
+ * used (called if a function) when the file is missing or corrupt.
+ * Returns the value written.
+ */
+function updateJson(file, fallback, update) {
+  return withLock(file, () => {
+    const initial = typeof fallback === 'function' ? fallback() : fallback;
+    const current = readJson(file, initial);
+    const result = update(current);
+    const next = result === undefined ? current : result;
+    writeJson(file, next);
+    return next;
+  });
+}
+
+module.exports = {
+  LockTimeoutError,
+  getLockFile,
+  acquireLock,
+  withLock,
+  quarantine,
+  readJson,
+  writeFileAtomic,
+  writeJson,
+  appendLines,
+  updateJson
+};
@@ -0,0 +1,109 @@
+/**
+ * stop-decision.js
+ *
+ * Deterministic Stop decisions. The Stop hook's issues are sorted into
+ * three kinds:
+ * - blocking: matched by a rule switched on in stopBlockOn; the session
+ *   can't stop until they're fixed
+ * - non-blocking: matched by a rule switched off, or a notice such as a
+ *   missing PROGRESS.md the project doesn't require; reported, not enforced
+ * - ambiguous: matched by no rule (a work item without verification
+ *   commands, stale file references, untagged commits, ...); left to the
+ *   optional prompt hook, and otherwise reported like non-blocking ones
+ *
+ * Rules match the issue text validate-progress.js writes. A block is
+ * identified by its rules and work items (blockKey) rather than by its
+ * reason, whose wording changes between runs (a failure's history label,
+ * for one), so the loop guard recognises the same block.
+ */
+
+// Blocking rules by stopBlockOn key
+const RULES = {
+  missingSections: /^Missing sections:|^PROGRESS\.md does not exist/,
+  verificationFailed: /verification FAILED/,
+  commitsSinceUpdate: /commit\(s\) since PROGRESS\.md was last updated/,
+  uncommittedChanges: /uncommitted change\(s\)|changed this session \(snapshot\)/
+};
+
+// Issues that report something done rather than something to do
+const OUTCOMES = [/verified and marked complete/];
+
+// Issues that are only reported, whatever stopBlockOn says
+const NOTICES = [/^No PROGRESS\.md yet/];
+
+/**
+ * The stopBlockOn rule an issue falls under, or null
+ */
+function classifyIssue(issue) {
+  return Object.keys(RULES).find(rule => RULES[rule].test(issue)) || null;
+}
+
+/**
+ * Sort issues by the blocking rules
+ * Returns { blocking, nonBlocking, ambiguous }
+ */
+function sortIssues(issues, blockOn) {
+  const sorted = { blocking: [], nonBlocking: [], ambiguous: [] };
+  for (const issue of issues) {
+    if (OUTCOMES.some(pattern => pattern.test(issue))) continue;
+    if (NOTICES.some(pattern => pattern.test(issue))) {
+      sorted.nonBlocking.push(issue);
+      continue;
+    }
+    const rule = classifyIssue(issue);
+    if (!rule) sorted.ambiguous.push(issue);
+    else if (blockOn[rule]) sorted.blocking.push(issue);
+    else sorted.nonBlocking.push(issue);
+  }
+  return sorted;
+}
+
+/**
+ * Identity of a block: its rules and the work items they concern, e.g.
+ * "missingSections,verificationFailed:item-003"
+ */
+function getBlockKey(blocking) {
+  const parts = blocking.map(issue => {
+    const item = issue.match(/^Work item (\S+)/);
+    return item ? `${classifyIssue(issue)}:${item[1]}` : classifyIssue(issue);
+  });
+  return [...new Set(parts)].sort().join(',');
+}
+
+/**
+ * Stop decision for a validation
+ *
+ * Returns { decision: 'block', reason, blockKey } when a blocking rule
+ * matched, otherwise {} (the session may stop), plus a systemMessage for
+ * the user listing what wasn't enforced, and the sorted issues as
+ * stopIssues
+ */
+function decideStop(validation, blockOn, repairTemplate = null) {
+  const sorted = sortIssues(validation.issues, blockOn);
+  const output = {};
+
+  if (sorted.blocking.length > 0) {
+    const lines = ['Before stopping, fix:', ...sorted.blocking.map(issue => `- ${issue}`)];
+    if (repairTemplate && sorted.blocking.some(issue => RULES.missingSections.test(issue))) {
+      lines.push('', 'Add the missing PROGRESS.md sections:', '', repairTemplate.trim());
+    }
+    output.decision = 'block';
+    output.reason = lines.join('\n');
+    output.blockKey = getBlockKey(sorted.blocking);
+  }
+
+  const reported = [...sorted.nonBlocking, ...sorted.ambiguous];
+  if (reported.length > 0) {
+    output.systemMessage = `Context sync: ${reported.join('; ')}`;
+  }
+  output.stopIssues = sorted;
+  return output;
+}
+
+module.exports = {
+  RULES,
+  classifyIssue,
+  sortIssues,
+  getBlockKey,
+  decideStop
+};
@@ -0,0 +1,248 @@
+/**
+ * verification-history.js
+ *
+ * Persistent log of verification runs in
+ * .claude/.context-state/verification-history.jsonl, one JSON line per
+ * command execution. Used to tell when an item started failing and which
+ * commands flip between pass and fail.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withLock, writeFileAtomic } = require('./state-store');
+
+// Entries kept when the log is compacted
+const MAX_ENTRIES = 5000;
+
+// Recent runs considered when looking for flaky commands
+const FLAKY_WINDOW = 10;
+
+// Pass/fail transitions within the window that make a command flaky
+const FLAKY_MIN_FLIPS = 2;
+
+/**
+ * Path of the history log inside a state directory
+ */
+function getHistoryFile(stateDir) {
+  return path.join(stateDir, 'verification-history.jsonl');
+}
+
+/**
+ * Load every recorded run, oldest first
+ */
+function loadHistory(stateDir) {
+  const file = getHistoryFile(stateDir);
+  if (!fs.existsSync(file)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Skip torn lines
+    }
+  }
+  return entries;
+}
+
+/**
+ * Append the results of one verification run
+ *
+ * context: { source, feature, itemId, sessionId, gitHead }
+ */
+function recordRuns(stateDir, context, results) {
+  if (!results || results.length === 0) return;
+
+  const timestamp = new Date().toISOString();
+  const runId = `${timestamp}-${process.pid}`;
+  const lines = results
+    .filter(result => !result.skipped)
+    .map(result => JSON.stringify({
+      runId,
+      timestamp,
+      source: context.source,
+      feature: context.feature || null,
+      itemId: context.itemId,
+      command: result.command,
+      description: result.description,
+      optional: result.optional || false,
+      passed: result.passed,
+      exitCode: result.exitCode,
+      timedOut: result.timedOut || false,
+      duration: result.duration,
+      gitHead: context.gitHead || null,
+      sessionId: context.sessionId || null
+    }));
+  if (lines.length === 0) return;
+
+  try {
+    fs.mkdirSync(stateDir, { recursive: true });
+    // Locked so a compaction can't drop another process's append
+    withLock(getHistoryFile(stateDir), () => {
+      fs.appendFileSync(getHistoryFile(stateDir), lines.join('\n') + '\n', 'utf8');
+      compactHistory(stateDir);
+    });
+  } catch (e) {
+    // History is best-effort
+  }
+}
+
+/**
+ * Keep the log bounded by dropping the oldest entries
+ */
+function compactHistory(stateDir) {
+  const history = loadHistory(stateDir);
+  if (history.length <= MAX_ENTRIES * 1.2) return;
+
+  const kept = history.slice(-MAX_ENTRIES).map(entry => JSON.stringify(entry));
+  writeFileAtomic(getHistoryFile(stateDir), kept.join('\n') + '\n');
+}
+
+/**
+ * Get the runs of one command for one item, oldest first
+ */
+function getRuns(history, itemId, command) {
+  return history.filter(entry => entry.itemId === itemId && entry.command === command);
+}
+
+/**
+ * Count pass/fail transitions in a list of runs
+ */
+function countFlips(runs) {
+  let flips = 0;
+  for (let i = 1; i < runs.length; i++) {
+    if (runs[i].passed !== runs[i - 1].passed) flips++;
+  }
+  return flips;
+}
+
+/**
+ * Check whether a command's recent runs flip between pass and fail
+ */
+function isFlaky(runs) {
+  return countFlips(runs.slice(-FLAKY_WINDOW)) >= FLAKY_MIN_FLIPS;
+}
+
+/**
+ * Get the first failing run of the current failure streak, or null
+ * when the latest run passed
+ */
+function getFailingSince(runs) {
+  let since = null;
+  for (let i = runs.length - 1; i >= 0 && !runs[i].passed; i--) {
+    since = runs[i];
+  }
+  return since;
+}
+
+/**
+ * Group an item's entries into runs and return the first run of the
+ * item's current failure streak (a run fails when a required command fails)
+ */
+function getItemFailingSince(history, itemId) {
+  const runs = [];
+  const byRun = new Map();
+  for (const entry of history) {
+    if (entry.itemId !== itemId) continue;
+    if (!byRun.has(entry.runId)) {
+      const run = { runId: entry.runId, timestamp: entry.timestamp, gitHead: entry.gitHead, passed: true };
+      byRun.set(entry.runId, run);
+      runs.push(run);
+    }
+    if (!entry.passed && !entry.optional) byRun.get(entry.runId).passed = false;
+  }
+  return getFailingSince(runs);
+}
+
+/**
+ * List every command whose recent runs flip between pass and fail
+ */
+function getFlakyCommands(history) {
+  const groups = new Map();
+  for (const entry of history) {
+    const key = `${entry.itemId}\u0000${entry.command}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  const flaky = [];
+  for (const runs of groups.values()) {
+    if (!isFlaky(runs)) continue;
+    const recent = runs.slice(-FLAKY_WINDOW);
+    flaky.push({
+      itemId: runs[0].itemId,
+      command: runs[0].command,
+      description: runs[0].description,
+      runs: recent.length,
+      flips: countFlips(recent),
+      passRate: recent.filter(r => r.passed).length / recent.length
+    });
+  }
+  return flaky;
+}
+
+/**
+ * Classify a failure against earlier runs (call before recording it):
+ * - "known flaky": the command has been flipping between pass and fail
+ * - "first run": there is no history for the command
+ * - "never passed": it has failed every time; `since` is the first run
+ * - "new regression": the previous run passed
+ * - "still failing": it was already failing; `since` is the first failure
+ */
+function classifyFailure(history, itemId, command) {
+  const runs = getRuns(history, itemId, command);
+  if (isFlaky(runs)) {
+    return { label: 'known flaky', flips: countFlips(runs.slice(-FLAKY_WINDOW)) };
+  }
+
+  const last = runs[runs.length - 1];
+  if (!last) {
+    return { label: 'first run' };
+  }
+  if (!runs.some(run => run.passed)) {
+    return { label: 'never passed', since: runs[0].timestamp, sinceGitHead: runs[0].gitHead };
+  }
+  if (last.passed) {
+    return { label: 'new regression', lastPassed: last.timestamp };
+  }
+
+  const since = getFailingSince(runs);
+  return { label: 'still failing', since: since.timestamp, sinceGitHead: since.gitHead };
+}
+
+/**
+ * Attach a history classification to every failed result
+ */
+function annotateFailures(history, itemId, results) {
+  for (const result of results) {
+    if (result.passed || result.skipped) continue;
+    result.history = classifyFailure(history, itemId, result.command);
+  }
+  return results;
+}
+
+/**
+ * Format a classification for a one-line report
+ */
+function formatClassification(classification) {
+  if (!classification) return '';
+  if (classification.label === 'still failing' || classification.label === 'never passed') {
+    return `${classification.label} since ${classification.since}${classification.sinceGitHead ? ` (${classification.sinceGitHead.slice(0, 7)})` : ''}`;
+  }
+  return classification.label;
+}
+
+module.exports = {
+  getHistoryFile,
+  loadHistory,
+  recordRuns,
+  getRuns,
+  isFlaky,
+  getFailingSince,
+  getItemFailingSince,
+  getFlakyCommands,
+  classifyFailure,
+  annotateFailures,
+  formatClassification
+};
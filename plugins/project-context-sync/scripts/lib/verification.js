@@ -0,0 +1,277 @@
+/**
+ * verification.js
+ *
+ * Shared asynchronous runner for work item verification commands.
+ *
+ * Each VerificationCommand may set its own `timeout` (seconds), `cwd`
+ * (relative to the project root), `env`, `retries` and `parallel`.
+ * Commands run concurrently up to a limit; a command with
+ * `"parallel": false` waits for everything before it and runs alone.
+ * A total time budget, derived from the hook's timeout in hooks.json,
+ * keeps the whole run inside the hook limit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const HOOKS_FILE = path.join(__dirname, '..', '..', 'hooks', 'hooks.json');
+
+// Output kept on the result, and the most buffered for pattern matching
+const OUTPUT_LIMIT = 1000;
+const BUFFER_LIMIT = 1024 * 1024;
+
+// Seconds held back from the hook timeout for the script's own work
+const HOOK_MARGIN = 15;
+
+/**
+ * Look up the timeout hooks.json gives the command hook running a script
+ */
+function getHookTimeout(eventName, scriptName) {
+  try {
+    const hooks = JSON.parse(fs.readFileSync(HOOKS_FILE, 'utf8')).hooks || {};
+    for (const group of hooks[eventName] || []) {
+      for (const hook of group.hooks || []) {
+        if (hook.type === 'command' && hook.command.includes(scriptName) && hook.timeout) {
+          return hook.timeout;
+        }
+      }
+    }
+  } catch (e) {
+    // Fall through
+  }
+  return null;
+}
+
+/**
+ * Total verification budget in seconds: an explicit config value, or the
+ * hook timeout minus a safety margin
+ */
+function getTimeBudget(configured, eventName, scriptName) {
+  if (typeof configured === 'number' && configured > 0) return configured;
+  const hookTimeout = getHookTimeout(eventName, scriptName);
+  if (!hookTimeout) return null;
+  return Math.max(hookTimeout - HOOK_MARGIN, 1);
+}
+
+/**
+ * Kill a spawned shell and everything it started
+ */
+function killTree(child) {
+  try {
+    if (process.platform !== 'win32') {
+      process.kill(-child.pid, 'SIGKILL');
+    } else {
+      child.kill('SIGKILL');
+    }
+  } catch (e) {
+    // Already gone
+  }
+}
+
+/**
+ * Run a shell command once, resolving with its exit code and output
+ */
+function execOnce(command, { cwd, env, timeoutMs }) {
+  return new Promise(resolve => {
+    let output = '';
+    let timedOut = false;
+    let settled = false;
+
+    let child;
+    try {
+      child = spawn(command, {
+        cwd,
+        env,
+        shell: true,
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (e) {
+      resolve({ exitCode: null, output: '', timedOut: false, spawnError: e.message });
+      return;
+    }
+
+    const collect = chunk => {
+      if (output.length < BUFFER_LIMIT) output += chunk.toString();
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killTree(child);
+    }, timeoutMs);
+
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    child.on('error', e => finish({ exitCode: null, output, timedOut, spawnError: e.message }));
+    child.on('close', code => finish({ exitCode: code, output, timedOut }));
+  });
+}
+
+/**
+ * Run a single verification command, retrying on failure
+ *
+ * options.projectRoot    - base directory for relative `cwd`
+ * options.defaultTimeout - seconds, used when the command sets no `timeout`
+ * options.deadline       - epoch ms after which no attempt may run
+ */
+async function runVerification(verification, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const result = {
+    command: verification.command,
+    description: verification.description || verification.command,
+    optional: verification.optional || false,
+    passed: false,
+    output: '',
+    error: null,
+    exitCode: null,
+    duration: 0,
+    attempts: 0,
+    timedOut: false
+  };
+
+  const cwd = verification.cwd ? path.resolve(projectRoot, verification.cwd) : projectRoot;
+  if (!fs.existsSync(cwd)) {
+    result.error = `Working directory does not exist: ${verification.cwd}`;
+    return result;
+  }
+
+  // A bad pattern fails this command only, not the whole run
+  let expectedPattern = null;
+  if (verification.expectedOutput) {
+    try {
+      expectedPattern = new RegExp(verification.expectedOutput);
+    } catch (e) {
+      result.error = `invalid expectedOutput pattern: ${e.message}`;
+      return result;
+    }
+  }
+
+  const env = { ...process.env, ...(verification.env || {}) };
+  const timeout = verification.timeout || options.defaultTimeout || 30;
+  const maxAttempts = 1 + Math.max(0, verification.retries || 0);
+  const expectedExit = verification.expectedExitCode || 0;
+  const startTime = Date.now();
+
+  while (result.attempts < maxAttempts) {
+    let timeoutMs = timeout * 1000;
+    let cutByBudget = false;
+    if (options.deadline) {
+      const remaining = options.deadline - Date.now();
+      if (remaining <= 0) {
+        result.skipped = result.attempts === 0;
+        result.error = result.error || 'Not run: verification time budget exhausted';
+        break;
+      }
+      if (remaining < timeoutMs) {
+        timeoutMs = remaining;
+        cutByBudget = true;
+      }
+    }
+
+    result.attempts++;
+    const run = await execOnce(verification.command, { cwd, env, timeoutMs });
+
+    if (run.timedOut && cutByBudget && !run.spawnError) {
+      // Not the command's fault: the overall budget ran out. An earlier
+      // attempt's failure stands; only a first attempt counts as not run
+      if (result.attempts === 1) {
+        result.skipped = true;
+        result.exitCode = run.exitCode;
+        result.timedOut = true;
+        result.output = run.output.substring(0, OUTPUT_LIMIT);
+        result.error = 'Stopped: verification time budget exhausted';
+      }
+      break;
+    }
+
+    result.exitCode = run.exitCode;
+    result.timedOut = run.timedOut;
+    result.output = run.output.substring(0, OUTPUT_LIMIT);
+
+    if (run.spawnError) {
+      result.error = run.spawnError;
+    } else if (run.timedOut) {
+      result.error = `Timed out after ${Math.round(timeoutMs / 1000)}s`;
+    } else if (run.exitCode !== expectedExit) {
+      result.error = `Exit code ${run.exitCode} (expected ${expectedExit})`;
+    } else if (expectedPattern && !expectedPattern.test(run.output)) {
+      result.error = `Output did not match pattern: ${verification.expectedOutput}`;
+    } else {
+      result.passed = true;
+      result.error = null;
+      break;
+    }
+  }
+
+  result.duration = Date.now() - startTime;
+  return result;
+}
+
+/**
+ * Run a list of verification commands with a concurrency limit and a total
+ * time budget. Results come back in the same order as the commands.
+ *
+ * options.concurrency    - maximum commands running at once
+ * options.budget         - total seconds for the whole run
+ * options.projectRoot, options.defaultTimeout - passed to runVerification
+ */
+async function runVerifications(verifications, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const deadline = options.budget ? Date.now() + options.budget * 1000 : null;
+  const results = new Array(verifications.length);
+  const running = new Set();
+
+  const skippedResult = verification => ({
+    command: verification.command,
+    description: verification.description || verification.command,
+    optional: verification.optional || false,
+    passed: false,
+    skipped: true,
+    output: '',
+    error: 'Not run: verification time budget exhausted',
+    exitCode: null,
+    duration: 0,
+    attempts: 0,
+    timedOut: false
+  });
+
+  for (let i = 0; i < verifications.length; i++) {
+    const verification = verifications[i];
+    const exclusive = verification.parallel === false;
+
+    // Exclusive commands wait for the pool to drain; others wait for a slot
+    while (running.size > 0 && (exclusive || running.size >= concurrency)) {
+      await Promise.race(running);
+    }
+
+    if (deadline && Date.now() >= deadline) {
+      results[i] = skippedResult(verification);
+      continue;
+    }
+
+    const task = runVerification(verification, { ...options, deadline })
+      .then(result => { results[i] = result; })
+      .finally(() => running.delete(task));
+    running.add(task);
+
+    if (exclusive) await task;
+  }
+
+  await Promise.all(running);
+  return results;
+}
+
+module.exports = {
+  getHookTimeout,
+  getTimeBudget,
+  runVerification,
+  runVerifications
+};
@@ -0,0 +1,178 @@
+/**
+ * work-items.js
+ *
+ * Validated status transitions for work items, shared by the Stop hook and
+ * the context-sync CLI so both stamp startedAt/completedAt/sessionId the
+ * same way.
+ */
+
+const { getItems, updateFeature } = require('./features');
+const { analyzeDependencies, explainIneligible } = require('./dependency-graph');
+
+// Statuses each transition may start from
+const ALLOWED_FROM = {
+  'in-progress': ['pending', 'blocked'],
+  complete: ['in-progress', 'pending', 'blocked'],
+  blocked: ['pending', 'in-progress'],
+  skipped: ['pending', 'in-progress', 'blocked'],
+  pending: ['in-progress', 'blocked', 'skipped']
+};
+
+/**
+ * Error raised when a transition is not allowed
+ */
+class TransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransitionError';
+  }
+}
+
+/**
+ * Find an item by ID across features; `slug` narrows the search
+ * Returns { feature, item } or throws when missing or ambiguous
+ */
+function findWorkItem(features, itemId, slug) {
+  const matches = [];
+  for (const feature of features) {
+    if (slug && feature.slug !== slug) continue;
+    const item = getItems(feature.featureList).find(i => i.id === itemId);
+    if (item) matches.push({ feature, item });
+  }
+
+  if (matches.length === 0) {
+    throw new TransitionError(`Work item ${itemId} not found${slug ? ` in feature ${slug}` : ''}`);
+  }
+  if (matches.length > 1) {
+    throw new TransitionError(
+      `Work item ${itemId} exists in several features (${matches.map(m => m.feature.slug).join(', ')}); pass --feature`
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Check a transition without applying it; returns a list of problems
+ *
+ * options.parallel allows several in-progress items per feature (each
+ * isolated in its own worktree)
+ */
+function checkTransition(feature, item, status, options = {}) {
+  const problems = [];
+  const allowed = ALLOWED_FROM[status];
+  if (!allowed) {
+    return [`Unknown status ${status}`];
+  }
+  if (!allowed.includes(item.status)) {
+    problems.push(`${item.id} is ${item.status}; can't move to ${status}`);
+  }
+
+  if (status === 'in-progress') {
+    const graph = analyzeDependencies(getItems(feature.featureList));
+    const waiting = explainIneligible(graph, item.id)
+      .filter(reason => !reason.startsWith('status is'));
+    problems.push(...waiting.map(reason => `${item.id} ${reason}`));
+
+    const other = getItems(feature.featureList)
+      .find(i => i.status === 'in-progress' && i.id !== item.id);
+    if (other && !options.parallel) {
+      problems.push(`${other.id} is already in-progress in ${feature.slug}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Update the feature-level status after an item changes
+ */
+function refreshFeatureStatus(featureList) {
+  const items = getItems(featureList);
+  if (items.length > 0 && items.every(i => i.status === 'complete' || i.status === 'skipped') &&
+      items.some(i => i.status === 'complete')) {
+    featureList.status = 'complete';
+  } else if (items.some(i => i.status === 'in-progress') && featureList.status === 'planning') {
+    featureList.status = 'in-progress';
+  }
+}
+
+/**
+ * Apply a status transition, stamp it, and save the feature plan
+ *
+ * The transition is checked and applied to the plan as it is on disk,
+ * under the plan's lock, so two sessions can't both claim an item or
+ * overwrite each other's changes; `item` is updated to the saved copy.
+ *
+ * options: { sessionId, reason, force, completedSessions, parallel, worktree }
+ * Throws TransitionError when the transition is not allowed (unless force)
+ */
+function transitionWorkItem(feature, item, status, options = {}) {
+  let saved;
+  try {
+    updateFeature(feature, featureList => {
+      saved = getItems(featureList).find(i => i.id === item.id);
+      if (!saved) {
+        throw new TransitionError(`Work item ${item.id} no longer exists in ${feature.slug}`);
+      }
+      applyTransition(feature, saved, status, options);
+    });
+  } catch (e) {
+    if (e instanceof TransitionError) throw e;
+    throw new TransitionError(`Could not write ${feature.file}: ${e.message}`);
+  }
+
+  // Put the caller's item object back in the plan, holding the saved state
+  if (saved !== item) {
+    for (const key of Object.keys(item)) delete item[key];
+    Object.assign(item, saved);
+    const items = feature.featureList.items;
+    items[items.indexOf(saved)] = item;
+  }
+  return item;
+}
+
+/**
+ * Check a transition and stamp it onto the plan in memory
+ */
+function applyTransition(feature, item, status, options) {
+  const problems = checkTransition(feature, item, status, options);
+  if (problems.length > 0 && !options.force) {
+    throw new TransitionError(problems.join('; '));
+  }
+
+  const now = new Date().toISOString();
+  const featureList = feature.featureList;
+
+  item.status = status;
+  if (status === 'in-progress') {
+    item.startedAt = now;
+    if (options.sessionId) item.sessionId = options.sessionId;
+    if (options.worktree) item.worktree = options.worktree;
+    delete item.blockedBy;
+  } else if (status === 'complete') {
+    item.completedAt = now;
+    if (options.sessionId) item.sessionId = options.sessionId;
+    delete item.blockedBy;
+    // Callers pass the count derived from the session ledger
+    featureList.completedSessions = typeof options.completedSessions === 'number'
+      ? options.completedSessions
+      : (featureList.completedSessions || 0) + 1;
+  } else if (status === 'blocked') {
+    if (!options.reason) {
+      throw new TransitionError('A reason is required to block an item');
+    }
+    item.blockedBy = options.reason;
+  } else if (status === 'skipped' && options.reason) {
+    item.notes = item.notes ? `${item.notes}\nSkipped: ${options.reason}` : `Skipped: ${options.reason}`;
+  }
+
+  refreshFeatureStatus(featureList);
+  featureList.updated = now;
+}
+
+module.exports = {
+  TransitionError,
+  findWorkItem,
+  checkTransition,
+  transitionWorkItem
+};
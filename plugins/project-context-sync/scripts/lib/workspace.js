@@ -0,0 +1,226 @@
+/**
+ * workspace.js
+ *
+ * Context roots for monorepos. A context root is a directory whose
+ * .claude/ holds context-sync files (PROGRESS.md, feature plans or
+ * context-sync.json); a .claude/ with only Claude's own settings doesn't
+ * count. Hooks use the nearest context root at or above their working
+ * directory, so a session started in packages/api reads
+ * packages/api/.claude/ when it exists and the repository's otherwise.
+ *
+ * The workspace root is the outermost context root in the repository.
+ * Packages are the context roots below it: the directories matched by
+ * `packages` in the workspace's config (`*` matches one path segment), or
+ * any found within PACKAGE_SEARCH_DEPTH levels when it isn't set. Each
+ * package keeps its own PROGRESS.md, feature plans and state, and a file
+ * belongs to the nearest context root above it.
+ *
+ * Walks stop at the repository boundary (a directory containing .git)
+ * and never use the home directory, whose .claude/ holds user settings.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadFeatures,
+  getActiveSlug,
+  getActiveFeature,
+  getNextWorkItem,
+  getInvalidFeatures,
+  getFeatureProgress,
+  renderProgressBar
+} = require('./features');
+
+// Files and directories in .claude/ that make it a context root
+const CONTEXT_MARKERS = [
+  'PROGRESS.md',
+  'context-sync.json',
+  'context-sync.local.json',
+  'features',
+  'feature_list.json'
+];
+
+// How deep package discovery looks below the workspace root
+const PACKAGE_SEARCH_DEPTH = 3;
+
+// Directories package discovery never enters (besides dot-directories)
+const SKIPPED_DIRS = ['node_modules', 'vendor', 'dist', 'build', 'target', 'coverage'];
+
+/**
+ * Check if a directory's .claude/ holds context-sync files
+ */
+function isContextRoot(dir) {
+  const claudeDir = path.join(dir, '.claude');
+  return CONTEXT_MARKERS.some(marker => fs.existsSync(path.join(claudeDir, marker)));
+}
+
+/**
+ * Directories from `start` up to the repository boundary, nearest first,
+ * leaving out the home directory
+ */
+function getAncestors(start) {
+  const home = path.resolve(os.homedir());
+  const dirs = [];
+  let dir = path.resolve(start);
+  while (true) {
+    if (dir !== home) dirs.push(dir);
+    if (fs.existsSync(path.join(dir, '.git'))) break;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return dirs;
+}
+
+/**
+ * Nearest context root at or above a directory; the directory itself
+ * when there's none
+ */
+function findContextRoot(start = process.cwd()) {
+  return getAncestors(start).find(isContextRoot) || path.resolve(start);
+}
+
+/**
+ * Outermost context root at or above a context root
+ */
+function findWorkspaceRoot(contextRoot) {
+  const roots = getAncestors(contextRoot).filter(isContextRoot);
+  return roots.length > 0 ? roots[roots.length - 1] : path.resolve(contextRoot);
+}
+
+/**
+ * Subdirectories worth searching for packages
+ */
+function listSubdirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRS.includes(entry.name))
+      .map(entry => entry.name)
+      .sort();
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Directories matching a `packages` pattern such as "packages/*"
+ */
+function expandPattern(workspaceRoot, pattern) {
+  let matches = [''];
+  for (const segment of pattern.split('/').filter(s => s && s !== '.')) {
+    const next = [];
+    for (const match of matches) {
+      if (segment === '*') {
+        next.push(...listSubdirs(path.join(workspaceRoot, match)).map(name => path.join(match, name)));
+      } else if (fs.existsSync(path.join(workspaceRoot, match, segment))) {
+        next.push(path.join(match, segment));
+      }
+    }
+    matches = next;
+  }
+  return matches;
+}
+
+/**
+ * Context roots within PACKAGE_SEARCH_DEPTH levels below the workspace root
+ */
+function discoverPackages(workspaceRoot) {
+  const found = [];
+  let level = [''];
+  for (let depth = 1; depth <= PACKAGE_SEARCH_DEPTH; depth++) {
+    const next = [];
+    for (const dir of level) {
+      for (const name of listSubdirs(path.join(workspaceRoot, dir))) {
+        const relative = path.join(dir, name);
+        if (isContextRoot(path.join(workspaceRoot, relative))) found.push(relative);
+        next.push(relative);
+      }
+    }
+    level = next;
+  }
+  return found;
+}
+
+/**
+ * Packages of a workspace as paths relative to its root, sorted
+ *
+ * patterns is the workspace config's `packages`; null discovers them
+ */
+function listPackages(workspaceRoot, patterns = null) {
+  const candidates = Array.isArray(patterns)
+    ? patterns.flatMap(pattern => expandPattern(workspaceRoot, pattern))
+    : discoverPackages(workspaceRoot);
+  const packages = candidates.filter(relative =>
+    relative && !relative.startsWith('..') && isContextRoot(path.join(workspaceRoot, relative)));
+  return [...new Set(packages)].sort();
+}
+
+/**
+ * Package owning a file, relative to the workspace root ('.' for the
+ * workspace root itself)
+ */
+function getOwningPackage(file, workspaceRoot) {
+  const owner = findContextRoot(path.dirname(path.resolve(workspaceRoot, file)));
+  const relative = path.relative(workspaceRoot, owner);
+  return relative || '.';
+}
+
+/**
+ * Summarise a package's context: { path, hasProgress, invalidPlans,
+ * feature: { slug, name, status, progress } | null, next: { id,
+ * description, status } | null }
+ */
+function summarizePackage(workspaceRoot, relative) {
+  const claudeDir = path.join(workspaceRoot, relative, '.claude');
+  const features = loadFeatures(claudeDir);
+  const activeSlug = getActiveSlug(claudeDir);
+  const active = getActiveFeature(features, activeSlug);
+  const next = getNextWorkItem(features, activeSlug);
+
+  return {
+    path: relative,
+    hasProgress: fs.existsSync(path.join(claudeDir, 'PROGRESS.md')),
+    invalidPlans: getInvalidFeatures(features).length,
+    feature: active ? {
+      slug: active.slug,
+      name: active.featureList.feature,
+      status: active.featureList.status,
+      progress: getFeatureProgress(active.featureList)
+    } : null,
+    next: next ? { id: next.item.id, description: next.item.description, status: next.item.status } : null
+  };
+}
+
+/**
+ * One-line description of a package summary
+ */
+function describePackage(summary) {
+  const parts = [];
+  if (summary.feature) {
+    const progress = summary.feature.progress;
+    const counts = progress
+      ? `[${renderProgressBar(progress)}] ${progress.completed}/${progress.total} items`
+      : 'no items';
+    parts.push(`${summary.feature.name} (${summary.feature.slug}): ${counts}, ${summary.feature.status}`);
+  } else {
+    parts.push('no open feature');
+  }
+  if (summary.next) {
+    parts.push(`${summary.next.status === 'in-progress' ? 'current' : 'next'}: ${summary.next.id} ${summary.next.description}`);
+  }
+  if (!summary.hasProgress) parts.push('no PROGRESS.md');
+  if (summary.invalidPlans > 0) parts.push(`⚠️ ${summary.invalidPlans} invalid plan(s)`);
+  return `${summary.path}: ${parts.join('; ')}`;
+}
+
+module.exports = {
+  CONTEXT_MARKERS,
+  isContextRoot,
+  findContextRoot,
+  findWorkspaceRoot,
+  listPackages,
+  getOwningPackage,
+  summarizePackage,
+  describePackage
+};
@@ -0,0 +1,272 @@
+/**
+ * worktree.js
+ *
+ * Git worktree isolation for work items (config.worktreeIsolation).
+ *
+ * Each claimed item gets its own worktree and branch named after the item
+ * ID, so several sessions can work on different items of the same feature.
+ * Feature plans stay in the main worktree's .claude/ so every session sees
+ * the same claims; context state (.claude/.context-state) lives in each
+ * worktree, since hooks resolve it from their own working directory. The
+ * exception is merge-ready.json in the main worktree's state, where
+ * SessionEnd in an item's worktree leaves the branch for the next
+ * SessionStart in the main worktree to report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./git');
+const { readJson, updateJson } = require('./state-store');
+const { getItems, orderByActive, getNextPendingItem } = require('./features');
+
+const BRANCH_PREFIX = 'context-sync/';
+
+// Branches whose session ended, in the main worktree's context state
+const MERGE_READY_FILE = 'merge-ready.json';
+
+/**
+ * Branch name for a work item
+ */
+function getBranchName(itemId) {
+  return `${BRANCH_PREFIX}${itemId}`;
+}
+
+/**
+ * Root of the main worktree, or null outside a non-bare git repository
+ */
+function getMainWorktree(cwd) {
+  const commonDir = git(['rev-parse', '--path-format=absolute', '--git-common-dir'], cwd, 2000);
+  if (!commonDir || path.basename(commonDir) !== '.git') return null;
+  return path.dirname(commonDir);
+}
+
+/**
+ * Check if a directory is inside a linked (non-main) worktree
+ */
+function isLinkedWorktree(cwd) {
+  const topLevel = git(['rev-parse', '--show-toplevel'], cwd, 2000);
+  const main = getMainWorktree(cwd);
+  return !!(topLevel && main && path.resolve(topLevel) !== path.resolve(main));
+}
+
+/**
+ * Current branch name, or null when detached
+ */
+function getCurrentBranch(cwd) {
+  const branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd, 2000);
+  return branch && branch !== 'HEAD' ? branch : null;
+}
+
+/**
+ * Directory holding feature plans: the main worktree's .claude/ when
+ * isolation is on (at the same path within it, for a monorepo package),
+ * otherwise the project's own
+ */
+function getPlanDir(projectRoot, isolation) {
+  if (isolation) {
+    const main = getMainWorktree(projectRoot);
+    if (main) {
+      const topLevel = git(['rev-parse', '--show-toplevel'], projectRoot, 2000);
+      const relative = topLevel ? path.relative(topLevel, fs.realpathSync(projectRoot)) : '';
+      return path.join(main, relative, '.claude');
+    }
+  }
+  return path.join(projectRoot, '.claude');
+}
+
+/**
+ * List registered worktrees as { path, branch, head }
+ */
+function listWorktrees(cwd) {
+  const output = git(['worktree', 'list', '--porcelain'], cwd);
+  if (!output) return [];
+
+  const worktrees = [];
+  let current = null;
+  for (const line of output.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = { path: line.slice('worktree '.length), branch: null, head: null };
+      worktrees.push(current);
+    } else if (current && line.startsWith('HEAD ')) {
+      current.head = line.slice('HEAD '.length);
+    } else if (current && line.startsWith('branch ')) {
+      current.branch = line.slice('branch '.length).replace(/^refs\/heads\//, '');
+    }
+  }
+  return worktrees;
+}
+
+/**
+ * Default location for an item's worktree: a sibling directory of the
+ * main worktree, so it never shows up in the project's own git status
+ */
+function getWorktreePath(mainRoot, itemId, worktreeDir) {
+  const base = worktreeDir
+    ? path.resolve(mainRoot, worktreeDir)
+    : path.join(path.dirname(mainRoot), `${path.basename(mainRoot)}-worktrees`);
+  return path.join(base, itemId);
+}
+
+/**
+ * Create (or reuse) the worktree and branch for a work item
+ * Returns { path, branch, created }; throws when git refuses
+ */
+function ensureItemWorktree(projectRoot, itemId, worktreeDir) {
+  const main = getMainWorktree(projectRoot);
+  if (!main) {
+    throw new Error('worktreeIsolation needs a git repository with a main worktree');
+  }
+
+  const branch = getBranchName(itemId);
+  const existing = listWorktrees(main).find(w => w.branch === branch);
+  if (existing) {
+    return { path: existing.path, branch, created: false };
+  }
+
+  const worktreePath = getWorktreePath(main, itemId, worktreeDir);
+  if (fs.existsSync(worktreePath)) {
+    throw new Error(`${worktreePath} already exists and is not the worktree for ${branch}`);
+  }
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+
+  const branchExists = git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], main, 2000) !== null;
+  const args = branchExists
+    ? ['worktree', 'add', worktreePath, branch]
+    : ['worktree', 'add', '-b', branch, worktreePath, 'HEAD'];
+  if (git(args, main, 30000) === null) {
+    throw new Error(`git worktree add failed for ${branch}`);
+  }
+  return { path: worktreePath, branch, created: true };
+}
+
+/**
+ * Find the item isolated on a branch
+ */
+function findItemForBranch(features, branch) {
+  if (!branch) return null;
+  for (const feature of features) {
+    const item = getItems(feature.featureList)
+      .find(i => i.worktree && i.worktree.branch === branch);
+    if (item) return { feature, item };
+  }
+  return null;
+}
+
+/**
+ * The work item this session owns under isolation: the item bound to the
+ * worktree's branch, or in the main worktree the first in-progress item
+ * that isn't isolated elsewhere
+ */
+function getSessionWorkItem(features, activeSlug, projectRoot) {
+  if (isLinkedWorktree(projectRoot)) {
+    return findItemForBranch(features, getCurrentBranch(projectRoot));
+  }
+  for (const feature of orderByActive(features, activeSlug)) {
+    const item = getItems(feature.featureList)
+      .find(i => i.status === 'in-progress' && !i.worktree);
+    if (item) return { feature, item };
+  }
+  return null;
+}
+
+/**
+ * The item a session should work on under isolation: the one it owns, or
+ * in the main worktree the next eligible pending item (other items may be
+ * in-progress in their own worktrees)
+ */
+function getNextIsolationItem(features, activeSlug, projectRoot) {
+  const owned = getSessionWorkItem(features, activeSlug, projectRoot);
+  if (owned || isLinkedWorktree(projectRoot)) return owned;
+
+  for (const feature of orderByActive(features, activeSlug)) {
+    const item = getNextPendingItem(feature.featureList);
+    if (item) return { feature, item };
+  }
+  return null;
+}
+
+/**
+ * Isolated items whose branch still needs merging into the main worktree:
+ * { feature, item, branch, path, ahead, uncommitted, exists }
+ */
+function getPendingMerges(features, projectRoot) {
+  const main = getMainWorktree(projectRoot);
+  if (!main) return [];
+
+  const registered = listWorktrees(main);
+  const merges = [];
+  for (const feature of features) {
+    for (const item of getItems(feature.featureList).filter(i => i.worktree)) {
+      const { branch } = item.worktree;
+      const ahead = parseInt(git(['rev-list', '--count', `HEAD..${branch}`], main, 5000), 10);
+      const worktree = registered.find(w => w.branch === branch);
+      const status = worktree ? git(['status', '--porcelain'], worktree.path, 5000) : null;
+      const uncommitted = status ? status.split('\n').length : 0;
+
+      if ((isNaN(ahead) || ahead === 0) && uncommitted === 0) continue;
+      merges.push({
+        feature,
+        item,
+        branch,
+        path: item.worktree.path,
+        ahead: isNaN(ahead) ? 0 : ahead,
+        uncommitted,
+        exists: !!worktree
+      });
+    }
+  }
+  return merges;
+}
+
+/**
+ * The main worktree's merge-ready file
+ */
+function getMergeReadyFile(projectRoot) {
+  return path.join(getPlanDir(projectRoot, true), '.context-state', MERGE_READY_FILE);
+}
+
+/**
+ * Record that a session in an item's worktree ended, for the main
+ * worktree's next SessionStart: worktree is { path, branch, itemId, status }
+ */
+function recordMergeReady(projectRoot, worktree, sessionId) {
+  fs.mkdirSync(path.dirname(getMergeReadyFile(projectRoot)), { recursive: true });
+  updateJson(getMergeReadyFile(projectRoot), () => ({}), ready => {
+    ready[worktree.branch] = { ...worktree, sessionId, endedAt: new Date().toISOString() };
+    return ready;
+  });
+}
+
+/**
+ * Branches recorded by recordMergeReady, keeping only those still pending
+ * (merged or removed branches are dropped from the file)
+ * Returns { branch: { path, branch, itemId, status, sessionId, endedAt } }
+ */
+function takeMergeReady(projectRoot, pendingBranches) {
+  const file = getMergeReadyFile(projectRoot);
+  if (!readJson(file)) return {};
+  return updateJson(file, () => ({}), ready => {
+    for (const branch of Object.keys(ready)) {
+      if (!pendingBranches.includes(branch)) delete ready[branch];
+    }
+    return ready;
+  });
+}
+
+module.exports = {
+  BRANCH_PREFIX,
+  getBranchName,
+  getMainWorktree,
+  isLinkedWorktree,
+  getCurrentBranch,
+  getPlanDir,
+  listWorktrees,
+  getWorktreePath,
+  ensureItemWorktree,
+  findItemForBranch,
+  getSessionWorkItem,
+  getNextIsolationItem,
+  getPendingMerges,
+  recordMergeReady,
+  takeMergeReady
+};
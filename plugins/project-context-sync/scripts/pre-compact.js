@@ -4,12 +4,18 @@
  * 
  * Runs before context compaction to remind Claude to update PROGRESS.md.
  * This ensures context is captured before memory is compressed.
+ * Lists the most-changed files first. Does nothing when the layered config
+ * (lib/config.js) disables the plugin. Works from the nearest context root
+ * above the working directory (lib/workspace.js).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { rankFiles, describeFile, rollUpSubagents } = require('./lib/modifications');
+const { loadConfig } = require('./lib/config');
+const { findContextRoot } = require('./lib/workspace');
 
-const projectRoot = process.cwd();
+const projectRoot = findContextRoot();
 const STATE_DIR = path.join(projectRoot, '.claude', '.context-state');
 const MODIFICATIONS_FILE = path.join(STATE_DIR, 'modifications.json');
 const PROGRESS_FILE = path.join(projectRoot, '.claude', 'PROGRESS.md');
@@ -20,7 +26,10 @@ const PROGRESS_FILE = path.join(projectRoot, '.claude', 'PROGRESS.md');
 function loadModifications() {
   try {
     if (fs.existsSync(MODIFICATIONS_FILE)) {
-      return JSON.parse(fs.readFileSync(MODIFICATIONS_FILE, 'utf8'));
+      const mods = JSON.parse(fs.readFileSync(MODIFICATIONS_FILE, 'utf8'));
+      // Include the edits of subagents that haven't stopped yet
+      rollUpSubagents(mods);
+      return mods;
     }
   } catch (e) {
     // No modifications tracked
@@ -56,11 +65,15 @@ function progressRecentlyUpdated() {
  * Main
  */
 function main() {
+  if (!loadConfig(projectRoot).enabled) {
+    process.exit(0);
+  }
+
   const mods = loadModifications();
   
   // If significant work has been done but PROGRESS.md hasn't been updated
   if (mods.count > 0 && !progressRecentlyUpdated()) {
-    const fileList = mods.files.slice(0, 5).join(', ');
+    const fileList = rankFiles(mods).slice(0, 5).map(describeFile).join(', ');
     const moreFiles = mods.files.length > 5 ? ` and ${mods.files.length - 5} more` : '';
     
     console.log(JSON.stringify({
@@ -1,10 +1,40 @@
 #!/usr/bin/env node
 /**
- * session-end.js (v1.1)
+ * session-end.js (v1.9)
  *
  * Runs at SessionEnd to spawn background context finalization.
  * Uses --resume to continue with the same session context for coherent updates.
  *
+ * v1.9 Changes:
+ * - Lists each subagent's contribution (type, summary, files) recorded by
+ *   subagent-stop.js
+ *
+ * v1.8 Changes:
+ * - Config loaded by the shared loader (lib/config.js)
+ * - Layered config: ~/.claude, project, .claude/context-sync.local.json and
+ *   CONTEXT_SYNC_* environment variables over the plugin defaults
+ * - Monorepos: syncs the nearest context root (lib/workspace.js); files of
+ *   other packages are listed by package, with their own PROGRESS.md to update
+ *
+ * v1.7 Changes:
+ * - Adds the Recent Work entry or blocker for the session's work item to
+ *   PROGRESS.md itself (autoUpdateProgress) before the background sync
+ * - Names the required sections from progressSections in the sync prompt
+ *
+ * v1.6 Changes:
+ * - Lists modified files most-changed first, with edit counts and line deltas
+ * - current-session.json updated under a lock and written atomically
+ * - snapshotMode: outside git, saves the project's file hashes for the next
+ *   session and lists the files changed since this session started
+ *
+ * v1.5 Changes:
+ * - Records every session end (reason, files, edits, commits) in the
+ *   session ledger, whether or not a background sync is spawned
+ * - worktreeIsolation: reports the worktree and branch to merge and records
+ *   it for the next SessionStart in the main worktree
+ * - Asks the background sync to tag commits with a Work-Item trailer and
+ *   lists this session's commits that lack one
+ *
  * v1.1 Changes:
  * - Added timestamp-based lock file to prevent duplicate executions
  * - Added git repo validation before running git commands
@@ -14,13 +44,62 @@
 
 const fs = require("fs");
 const path = require("path");
-const { spawn, execSync } = require("child_process");
-
-const projectRoot = process.cwd();
+const { spawn } = require("child_process");
+const { appendEvent, getSession } = require("./lib/session-ledger");
+const { git, isGitRepo, getHead } = require("./lib/git");
+const {
+  formatTrailer,
+  getSessionCommits,
+  findUntagged,
+  describeCommit,
+} = require("./lib/commits");
+const { loadFeatures, getItems } = require("./lib/features");
+const {
+  rankFiles,
+  describeFile,
+  groupByPackage,
+  rollUpSubagents,
+  listSubagents,
+  describeSubagent,
+} = require("./lib/modifications");
+const { readJson, updateJson } = require("./lib/state-store");
+const { loadConfig } = require("./lib/config");
+const {
+  addBlocker,
+  recordCompletedItem,
+  updateProgress,
+} = require("./lib/progress-file");
+const {
+  loadSections,
+  getRequiredSections,
+  getAliases,
+} = require("./lib/progress-sections");
+const {
+  LAST_SESSION,
+  SESSION_START,
+  loadIgnorePatterns,
+  takeContentSnapshot,
+  diffContentSnapshots,
+  formatChanges,
+  loadContentSnapshot,
+  saveContentSnapshot,
+} = require("./lib/content-snapshot");
+const {
+  getPlanDir,
+  isLinkedWorktree,
+  getCurrentBranch,
+  findItemForBranch,
+  recordMergeReady,
+} = require("./lib/worktree");
+const { findContextRoot, findWorkspaceRoot } = require("./lib/workspace");
+
+const projectRoot = findContextRoot();
+const WORKSPACE_ROOT = findWorkspaceRoot(projectRoot);
+const OWN_PACKAGE = path.relative(WORKSPACE_ROOT, projectRoot) || ".";
 const CLAUDE_DIR = path.join(projectRoot, ".claude");
 const STATE_DIR = path.join(CLAUDE_DIR, ".context-state");
 const LOG_DIR = path.join(CLAUDE_DIR, "logs");
-const CONFIG_FILE = path.join(CLAUDE_DIR, "context-sync.json");
+const PROGRESS_FILE = path.join(CLAUDE_DIR, "PROGRESS.md");
 const LOCK_FILE = path.join(STATE_DIR, ".session-end.lock");
 
 // Duplicate execution prevention window (milliseconds)
@@ -67,56 +146,14 @@ function acquireLock() {
   }
 }
 
-/**
- * Check if we're in a git repository
- */
-function isGitRepo() {
-  try {
-    execSync("git rev-parse --git-dir", {
-      cwd: projectRoot,
-      encoding: "utf8",
-      timeout: 2000,
-      stdio: ["pipe", "pipe", "pipe"],
-    });
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-/**
- * Load plugin configuration
- */
-function loadConfig() {
-  const defaults = {
-    enabled: true,
-    sessionEndSync: true,
-    syncTimeout: 180,
-    maxTurns: 5,
-    worktreeIsolation: false,
-    minModificationsForSync: 1,
-  };
-
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const userConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
-      return { ...defaults, ...userConfig };
-    }
-  } catch (e) {
-    // Use defaults
-  }
-
-  return defaults;
-}
-
 /**
  * Check if context was already synced (Stop hook succeeded)
  */
 function wasContextSynced(sessionId) {
   const sessionFile = path.join(STATE_DIR, "current-session.json");
   try {
-    if (fs.existsSync(sessionFile)) {
-      const session = JSON.parse(fs.readFileSync(sessionFile, "utf8"));
+    const session = readJson(sessionFile);
+    if (session) {
       // Only consider synced if it's the same session
       if (sessionId && session.sessionId !== sessionId) {
         return false;
@@ -135,12 +172,14 @@ function wasContextSynced(sessionId) {
 function getSessionModifications(sessionId) {
   const modsFile = path.join(STATE_DIR, "modifications.json");
   try {
-    if (fs.existsSync(modsFile)) {
-      const mods = JSON.parse(fs.readFileSync(modsFile, "utf8"));
+    const mods = readJson(modsFile);
+    if (mods) {
       // Only return modifications from this session
       if (sessionId && mods.sessionId && mods.sessionId !== sessionId) {
         return { files: [], count: 0 };
       }
+      // Count the edits of subagents that never reached SubagentStop
+      rollUpSubagents(mods);
       return mods;
     }
   } catch (e) {
@@ -149,27 +188,45 @@ function getSessionModifications(sessionId) {
   return { files: [], count: 0 };
 }
 
+/**
+ * Snapshot mode outside git: hash the tree, keep it as the state the next
+ * session compares against, and return what changed since this session
+ * started (null when it didn't start with a snapshot)
+ */
+function recordEndSnapshot(sessionId, config) {
+  if (!config.snapshotMode || isGitRepo(projectRoot)) return null;
+
+  try {
+    const start = loadContentSnapshot(STATE_DIR, SESSION_START);
+    const matches = start && (!start.sessionId || start.sessionId === sessionId);
+    const snapshot = takeContentSnapshot(projectRoot, {
+      ignore: loadIgnorePatterns(projectRoot, config.snapshotIgnore),
+      previous: start,
+      sessionId,
+    });
+    saveContentSnapshot(STATE_DIR, LAST_SESSION, snapshot);
+    return matches ? diffContentSnapshots(start, snapshot) : null;
+  } catch (e) {
+    logError(`Snapshot failed: ${e.message}`);
+    return null;
+  }
+}
+
 /**
  * Check if there's work worth documenting
  */
-function hasWorkToDocument(sessionId, config) {
-  const inGitRepo = isGitRepo();
+function hasWorkToDocument(sessionId, config, snapshotChanges) {
+  const inGitRepo = isGitRepo(projectRoot);
+
+  // Snapshot mode: files changed since session start stand in for git status
+  if (snapshotChanges && snapshotChanges.count > 0) {
+    return true;
+  }
 
   // Check for uncommitted changes (only if in git repo)
   if (inGitRepo) {
-    try {
-      const status = execSync("git status --porcelain", {
-        cwd: projectRoot,
-        encoding: "utf8",
-        timeout: 5000,
-        stdio: ["pipe", "pipe", "pipe"],
-      }).trim();
-
-      if (status) {
-        return true;
-      }
-    } catch (e) {
-      // Git command failed - continue with other checks
+    if (git(["status", "--porcelain"], projectRoot)) {
+      return true;
     }
   }
 
@@ -181,17 +238,9 @@ function hasWorkToDocument(sessionId, config) {
 
   // Check for recent commits (only if in git repo)
   if (inGitRepo) {
-    try {
-      const recentCommits = execSync('git log --oneline --since="1 hour ago"', {
-        cwd: projectRoot,
-        encoding: "utf8",
-        timeout: 5000,
-        stdio: ["pipe", "pipe", "pipe"],
-      }).trim();
-
+    const recentCommits = git(["log", "--oneline", "--since=1 hour ago"], projectRoot);
+    if (recentCommits !== null) {
       return recentCommits.length > 0;
-    } catch (e) {
-      // Git command failed
     }
   }
 
@@ -204,22 +253,93 @@ function hasWorkToDocument(sessionId, config) {
 function markSynced(sessionId) {
   const sessionFile = path.join(STATE_DIR, "current-session.json");
   try {
-    let session = {};
-    if (fs.existsSync(sessionFile)) {
-      session = JSON.parse(fs.readFileSync(sessionFile, "utf8"));
-    }
-    session.sessionId = sessionId;
-    session.contextSynced = true;
-    session.syncedAt = new Date().toISOString();
-    session.syncedBy = "SessionEnd";
-
-    if (!fs.existsSync(STATE_DIR)) {
-      fs.mkdirSync(STATE_DIR, { recursive: true });
-    }
-    fs.writeFileSync(sessionFile, JSON.stringify(session, null, 2), "utf8");
+    updateJson(sessionFile, {}, (session) => {
+      session.sessionId = sessionId;
+      session.contextSynced = true;
+      session.syncedAt = new Date().toISOString();
+      session.syncedBy = "SessionEnd";
+    });
   } catch (e) {
     logError(`Failed to mark synced: ${e.message}`);
   }
+  appendEvent(STATE_DIR, "sync", sessionId, { by: "SessionEnd" });
+}
+
+/**
+ * Get the worktree this session ran in under worktreeIsolation:
+ * { path, branch, itemId, status } or null
+ */
+function getWorktreeInfo(config) {
+  if (!config.worktreeIsolation || !isLinkedWorktree(projectRoot)) return null;
+
+  const branch = getCurrentBranch(projectRoot);
+  const features = loadFeatures(getPlanDir(projectRoot, true));
+  const owned = findItemForBranch(features, branch);
+  return {
+    path: git(["rev-parse", "--show-toplevel"], projectRoot, 2000) || projectRoot,
+    branch,
+    itemId: owned ? owned.item.id : null,
+    status: owned ? owned.item.status : null,
+  };
+}
+
+/**
+ * Get the ID of the work item this session worked on, if any
+ */
+function getSessionWorkItemId(sessionId, worktree) {
+  if (worktree && worktree.itemId) return worktree.itemId;
+  const session = getSession(STATE_DIR, sessionId);
+  return session && session.workItem ? session.workItem.id : null;
+}
+
+/**
+ * Make the PROGRESS.md edits that need no judgement (autoUpdateProgress):
+ * a Recent Work entry for the work item completed this session, or a
+ * blocker for one left blocked. Returns descriptions of the edits made
+ */
+function recordProgressEdits(sessionId, worktree, config) {
+  if (!config.autoUpdateProgress || !fs.existsSync(PROGRESS_FILE)) return [];
+
+  const itemId = getSessionWorkItemId(sessionId, worktree);
+  if (!itemId) return [];
+  const planDir = getPlanDir(projectRoot, config.worktreeIsolation && isGitRepo(projectRoot));
+  const item = loadFeatures(planDir)
+    .map((feature) => getItems(feature.featureList).find((i) => i.id === itemId))
+    .find(Boolean);
+  if (!item) return [];
+
+  const edits = [];
+  try {
+    updateProgress(PROGRESS_FILE, (doc) => {
+      if (item.status === "complete" && recordCompletedItem(doc, item)) {
+        edits.push(`Recent Work: "Completed ${item.id}: ${item.description}"`);
+      } else if (item.status === "blocked" && item.blockedBy &&
+                 addBlocker(doc, `${item.id}: ${item.blockedBy}`)) {
+        edits.push(`Blockers: "${item.id}: ${item.blockedBy}"`);
+      }
+    }, { aliases: getAliases(loadSections(config)) });
+  } catch (e) {
+    logError(`Failed to update PROGRESS.md: ${e.message}`);
+  }
+  return edits;
+}
+
+/**
+ * Record the session's end in the ledger
+ */
+function recordSessionEnd(sessionId, reason, worktree) {
+  const mods = getSessionModifications(sessionId);
+  const commits = isGitRepo(projectRoot)
+    ? getSessionCommits(projectRoot, getSession(STATE_DIR, sessionId))
+    : [];
+  appendEvent(STATE_DIR, "end", sessionId, {
+    reason,
+    files: mods.files || [],
+    count: mods.count || 0,
+    gitHead: getHead(projectRoot),
+    commits: commits.map(describeCommit),
+    worktree,
+  });
 }
 
 /**
@@ -240,59 +360,114 @@ function logError(message) {
 /**
  * Get summary of work for the prompt
  */
-function getWorkSummary(sessionId) {
+function getWorkSummary(sessionId, worktree, itemId, snapshotChanges) {
   const parts = [];
-  const inGitRepo = isGitRepo();
+
+  if (worktree) {
+    parts.push(
+      `Worktree: ${worktree.path}\nBranch to merge: ${worktree.branch}` +
+        (worktree.itemId ? ` (work item ${worktree.itemId}, ${worktree.status})` : "")
+    );
+  } else if (itemId) {
+    parts.push(`Work item: ${itemId}`);
+  }
+  const inGitRepo = isGitRepo(projectRoot);
 
   if (inGitRepo) {
     // Git status
-    try {
-      const status = execSync("git status --short", {
-        cwd: projectRoot,
-        encoding: "utf8",
-        timeout: 5000,
-        stdio: ["pipe", "pipe", "pipe"],
-      }).trim();
-
-      if (status) {
-        parts.push("Uncommitted changes:\n" + status);
-      }
-    } catch (e) {
-      // Skip
+    const status = git(["status", "--short"], projectRoot);
+    if (status) {
+      parts.push("Uncommitted changes:\n" + status);
     }
 
     // Recent commits
-    try {
-      const commits = execSync("git log --oneline -5", {
-        cwd: projectRoot,
-        encoding: "utf8",
-        timeout: 5000,
-        stdio: ["pipe", "pipe", "pipe"],
-      }).trim();
-
-      if (commits) {
-        parts.push("Recent commits:\n" + commits);
+    const commits = git(["log", "--oneline", "-5"], projectRoot);
+    if (commits) {
+      parts.push("Recent commits:\n" + commits);
+    }
+
+    // Commits made while an item was in progress should name it
+    if (itemId) {
+      const untagged = findUntagged(
+        getSessionCommits(projectRoot, getSession(STATE_DIR, sessionId))
+      );
+      if (untagged.length > 0) {
+        parts.push(
+          `Commits this session without a "${formatTrailer(itemId)}" trailer:\n` +
+            untagged.map(describeCommit).join("\n")
+        );
       }
-    } catch (e) {
-      // Skip
     }
+  } else if (snapshotChanges) {
+    parts.push(
+      snapshotChanges.count > 0
+        ? "Files changed this session (content snapshot):\n" +
+            formatChanges(snapshotChanges, 50).join("\n")
+        : "(Not a git repository - no files changed since session start)"
+    );
   } else {
     parts.push("(Not a git repository - tracking file modifications only)");
   }
 
   // Tracked modifications (session-specific)
   const mods = getSessionModifications(sessionId);
-  if (mods.files && mods.files.length > 0) {
-    parts.push("Files modified this session:\n" + mods.files.join("\n"));
+  const groups = groupByPackage(mods, OWN_PACKAGE);
+  if (groups.some((group) => group.package !== OWN_PACKAGE)) {
+    parts.push(
+      "Files modified this session by package (most changed first):\n" +
+        groups
+          .map(
+            (group) =>
+              `${group.package === "." ? "(workspace root)" : group.package}:\n` +
+              group.entries.map((entry) => `  ${describeFile(entry)}`).join("\n")
+          )
+          .join("\n")
+    );
+  } else if (mods.files && mods.files.length > 0) {
+    parts.push(
+      "Files modified this session (most changed first):\n" +
+        rankFiles(mods).map(describeFile).join("\n")
+    );
+  }
+
+  // What each subagent contributed (its files are included above)
+  const subagents = listSubagents(mods);
+  if (subagents.length > 0) {
+    parts.push(
+      "Subagent contributions:\n" +
+        subagents
+          .map(
+            (entry) =>
+              [
+                describeSubagent(entry),
+                ...entry.entries.map((file) => `  ${describeFile(file)}`),
+              ].join("\n")
+          )
+          .join("\n")
+    );
   }
 
   return parts.join("\n\n");
 }
 
+/**
+ * PROGRESS.md files of the other monorepo packages this session changed
+ */
+function getOtherPackageProgressFiles(sessionId) {
+  return groupByPackage(getSessionModifications(sessionId), OWN_PACKAGE)
+    .filter((group) => group.package !== OWN_PACKAGE)
+    .map((group) =>
+      path.relative(
+        projectRoot,
+        path.join(WORKSPACE_ROOT, group.package, ".claude", "PROGRESS.md")
+      )
+    );
+}
+
 /**
  * Spawn background claude process to finalize context
  */
-function spawnBackgroundSync(sessionId, config) {
+function spawnBackgroundSync(sessionId, config, worktree, snapshotChanges, progressEdits) {
   if (!fs.existsSync(LOG_DIR)) {
     fs.mkdirSync(LOG_DIR, { recursive: true });
   }
@@ -301,11 +476,30 @@ function spawnBackgroundSync(sessionId, config) {
     LOG_DIR,
     `session-end-${sessionId || Date.now()}.log`
   );
-  const workSummary = getWorkSummary(sessionId);
+  const itemId = getSessionWorkItemId(sessionId, worktree);
+  const workSummary = getWorkSummary(sessionId, worktree, itemId, snapshotChanges);
+  const trailerNote = itemId
+    ? `, ending the message with a blank line and the trailer "${formatTrailer(itemId)}"`
+    : "";
+  const progressNote = progressEdits.length > 0
+    ? "\n\nAlready added to .claude/PROGRESS.md by the hook (keep these, don't duplicate them):\n" +
+      progressEdits.map((e) => `- ${e}`).join("\n")
+    : "";
+  const required = getRequiredSections(loadSections(config));
+  const otherProgressFiles = getOtherPackageProgressFiles(sessionId);
+  const packageNote = otherProgressFiles.length > 0
+    ? `\n   - Record changes to other packages in their own PROGRESS.md instead: ${otherProgressFiles.join(", ")}`
+    : "";
+  const subagentNote = listSubagents(getSessionModifications(sessionId)).length > 0
+    ? "\n   - Include the subagents' contributions listed above"
+    : "";
+  const mergeNote = worktree
+    ? `\n5. Commit on branch ${worktree.branch} only; do NOT merge it - the user merges it from the main worktree`
+    : "";
 
   const prompt = `Session ended. Finalize project context:
 
-${workSummary}
+${workSummary}${progressNote}
 
 Your task:
 1. Review what was accomplished this session based on the above
@@ -313,8 +507,9 @@ Your task:
    - Move completed items to "Recent Work" section
    - Update "Current State" with current status
    - Update "Next Steps" based on what you learned
-3. If there are uncommitted changes that should be committed, commit them with a descriptive message
-4. Do NOT start any new feature work - only document and commit existing work
+   - Keep every required section present: ${required.join(", ")}${subagentNote}${packageNote}
+3. If there are uncommitted changes that should be committed, commit them with a descriptive message${trailerNote}
+4. Do NOT start any new feature work - only document and commit existing work${mergeNote}
 
 Keep your changes minimal and focused on documentation.`;
 
@@ -353,7 +548,13 @@ Keep your changes minimal and focused on documentation.`;
   fs.appendFileSync(logFile, `Session ID: ${sessionId || "none"}\n`);
   fs.appendFileSync(logFile, `PID: ${child.pid}\n`);
   fs.appendFileSync(logFile, `Timeout: ${config.syncTimeout}s\n`);
-  fs.appendFileSync(logFile, `Is Git Repo: ${isGitRepo()}\n`);
+  fs.appendFileSync(logFile, `Is Git Repo: ${isGitRepo(projectRoot)}\n`);
+  if (worktree) {
+    fs.appendFileSync(
+      logFile,
+      `Worktree: ${worktree.path}\nBranch to merge: ${worktree.branch}\n`
+    );
+  }
   fs.appendFileSync(logFile, `---\n\n`);
 
   fs.closeSync(logStream);
@@ -363,9 +564,9 @@ Keep your changes minimal and focused on documentation.`;
  * Main
  */
 function main() {
-  const config = loadConfig();
+  const config = loadConfig(projectRoot);
 
-  if (!config.enabled || !config.sessionEndSync) {
+  if (!config.enabled) {
     process.exit(0);
   }
 
@@ -382,6 +583,28 @@ function main() {
     process.exit(0);
   }
 
+  const worktree = getWorktreeInfo(config);
+  recordSessionEnd(sessionId, sessionEndReason, worktree);
+  const snapshotChanges = recordEndSnapshot(sessionId, config);
+  const progressEdits = recordProgressEdits(sessionId, worktree, config);
+  if (worktree) {
+    // SessionEnd output isn't shown in the session, so the branch is left
+    // for the main worktree's next SessionStart to report; stderr only
+    // reaches the debug log
+    try {
+      recordMergeReady(projectRoot, worktree, sessionId);
+    } catch (e) {
+      logError(`Failed to record merge-ready branch: ${e.message}`);
+    }
+    process.stderr.write(
+      `Work for ${worktree.itemId || "this session"} is on branch ${worktree.branch} (${worktree.path}); merge it from the main worktree with: git merge ${worktree.branch}\n`
+    );
+  }
+
+  if (!config.sessionEndSync) {
+    process.exit(0);
+  }
+
   if (sessionEndReason !== "exit") {
     // Only run on normal exits
     process.exit(0);
@@ -393,13 +616,13 @@ function main() {
   }
 
   // Skip if no meaningful work to document
-  if (!hasWorkToDocument(sessionId, config)) {
+  if (!hasWorkToDocument(sessionId, config, snapshotChanges)) {
     process.exit(0);
   }
 
   // Spawn background sync
   try {
-    spawnBackgroundSync(sessionId, config);
+    spawnBackgroundSync(sessionId, config, worktree, snapshotChanges, progressEdits);
     markSynced(sessionId);
   } catch (e) {
     logError(`Spawn failed: ${e.message}`);
@@ -1,9 +1,64 @@
 #!/usr/bin/env node
 /**
- * session-start.js (v1.2)
+ * session-start.js (v1.9)
  * 
  * Runs at SessionStart to inject project context into Claude's awareness.
- * Reads PROGRESS.md, feature_list.json, and recent git history.
+ * Reads PROGRESS.md, feature plans, and recent git history.
+ * 
+ * v1.9 Changes:
+ * - Flags files named in PROGRESS.md, relatedFiles and item notes that no
+ *   longer exist, suggesting the new path when git saw a rename
+ *   (checkFileReferences)
+ * 
+ * v1.8 Changes:
+ * - Config loaded by lib/config.js against schemas/context-sync.schema.json;
+ *   unknown settings, wrong types and bad JSON are reported as warnings
+ * - Layered config: ~/.claude, project, .claude/context-sync.local.json and
+ *   CONTEXT_SYNC_* environment variables over the plugin defaults
+ * - Monorepos: reads the nearest context root above the working directory
+ *   (lib/workspace.js); at the workspace root, summarises every package's
+ *   active feature and next item
+ * 
+ * v1.7 Changes:
+ * - Sections checked with the PROGRESS.md parser (lib/progress-file.js)
+ * - Recent Work retention (recentWorkMaxEntries, recentWorkMaxAgeDays):
+ *   older entries move to .claude/progress-archive/ before injection
+ * - Context budget (contextBudgetChars, contextBudgetTokens): sections are
+ *   trimmed by contextPriorities with "truncated" markers; the current work
+ *   item and Current State are always included
+ * - Required sections and aliases from progressSections
+ *   (lib/progress-sections.js)
+ * 
+ * v1.6 Changes:
+ * - State files written atomically; a corrupt modifications.json is kept
+ *   as a .corrupt-<time> backup instead of being deleted
+ * - snapshotMode: outside git, hashes the project's files and reports what
+ *   changed since the last session ended
+ * 
+ * v1.5 Changes:
+ * - Optionally claims the next eligible item (autoStartNextItem), marking it
+ *   in-progress with startedAt and the session ID
+ * - Appends a start entry to the session ledger (.context-state/sessions.jsonl)
+ * - worktreeIsolation: the claimed item gets its own git worktree and
+ *   branch; plans are read from the main worktree, and branches waiting to
+ *   merge are listed with the sessions that ended in them
+ * - Shows the work item's commits and files (Work-Item trailer) and flags
+ *   the previous session's commits that lack the trailer
+ * 
+ * v1.4 Changes:
+ * - Smoke tests run asynchronously in parallel within the hook time budget
+ * - Smoke test runs recorded in verification history; failures marked
+ *   "known flaky", "first run", "never passed", "new regression" or
+ *   "still failing"
+ * - Regression sweep across all completed items (regressionMode), cached
+ *   by working-tree hash, with a per-item table
+ * 
+ * v1.3 Changes:
+ * - Multiple concurrent feature plans in .claude/features/
+ * - Active feature pointer (.claude/features/.active)
+ * - Lists every open feature with its progress
+ * - Validates feature plans against schemas/feature-list.schema.json
+ * - Dependency graph analysis: cycles, unknown IDs, critical path
  * 
  * v1.2 Changes:
  * - Added feature_list.json awareness
@@ -20,17 +75,106 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const {
+  loadFeatures,
+  getActiveSlug,
+  getActiveFeature,
+  getCurrentWorkItem,
+  getNextWorkItem,
+  getFeatureProgress,
+  getItems,
+  isOpenFeature,
+  getInvalidFeatures,
+  renderProgressBar
+} = require('./lib/features');
+const { formatError } = require('./lib/schema');
+const {
+  analyzeDependencies,
+  explainIneligible,
+  getEligibleItems,
+  describeProblems
+} = require('./lib/dependency-graph');
+const { getTimeBudget } = require('./lib/verification');
+const { formatClassification } = require('./lib/verification-history');
+const { runRegressionSweep } = require('./lib/regression-sweep');
+const { transitionWorkItem } = require('./lib/work-items');
+const { appendEvent, loadSessions } = require('./lib/session-ledger');
+const { git, isGitRepo, getHead } = require('./lib/git');
+const { emptyModifications, rollUpSubagents } = require('./lib/modifications');
+const { readJson, writeJson, withLock } = require('./lib/state-store');
+const { readConfig } = require('./lib/config');
+const { MAX_WALK_FILES } = require('./lib/snapshot');
+const { parseProgress, checkSections, getSection } = require('./lib/progress-file');
+const { archiveRecentWork } = require('./lib/progress-archive');
+const { loadSections, getRequiredSections, getAliases } = require('./lib/progress-sections');
+const { createContext, getBudget, renderContext } = require('./lib/context-budget');
+const {
+  LAST_SESSION,
+  SESSION_START,
+  loadIgnorePatterns,
+  takeContentSnapshot,
+  diffContentSnapshots,
+  formatChanges,
+  loadContentSnapshot,
+  saveContentSnapshot
+} = require('./lib/content-snapshot');
+const {
+  formatTrailer,
+  getCommits,
+  getSessionCommits,
+  groupByWorkItem,
+  findUntagged,
+  describeCommit
+} = require('./lib/commits');
+const {
+  getPlanDir,
+  isLinkedWorktree,
+  ensureItemWorktree,
+  getSessionWorkItem,
+  getNextIsolationItem,
+  getPendingMerges,
+  takeMergeReady
+} = require('./lib/worktree');
+const {
+  findContextRoot,
+  findWorkspaceRoot,
+  listPackages,
+  summarizePackage,
+  describePackage
+} = require('./lib/workspace');
+const { collectReferences, checkReferences, describeReference } = require('./lib/file-references');
 
-const projectRoot = process.cwd();
+const projectRoot = findContextRoot();
 const CLAUDE_DIR = path.join(projectRoot, '.claude');
 const PROGRESS_FILE = path.join(CLAUDE_DIR, 'PROGRESS.md');
-const FEATURE_LIST_FILE = path.join(CLAUDE_DIR, 'feature_list.json');
 const STATE_DIR = path.join(CLAUDE_DIR, '.context-state');
-const CONFIG_FILE = path.join(CLAUDE_DIR, 'context-sync.json');
+const CLI = `node ${path.join(__dirname, 'context-sync.js')}`;
+
+// Maximum schema errors listed per feature plan
+const MAX_SCHEMA_ERRORS = 10;
+
+// Maximum waiting items explained when nothing is eligible
+const MAX_WAITING_ITEMS = 5;
+
+// Maximum commits and files listed for a work item
+const MAX_ITEM_COMMITS = 5;
+const MAX_ITEM_FILES = 10;
+
+// Maximum changed files listed from a content snapshot
+const MAX_SNAPSHOT_CHANGES = 20;
+
+// Maximum missing file references listed
+const MAX_STALE_REFERENCES = 10;
 
-// Required sections
-const REQUIRED_SECTIONS = ['Current State', 'Recent Work', 'Next Steps'];
+// PROGRESS.md sections with their own context budget block; others share
+// the otherSections block
+const PROGRESS_BLOCKS = {
+  'Current State': 'currentState',
+  'Recent Work': 'recentWork',
+  'Next Steps': 'nextSteps',
+  'Blockers': 'blockers'
+};
+const PROGRESS_MORE = 'read .claude/PROGRESS.md for more';
 
 // Read hook input from stdin
 let hookInput = {};
@@ -43,243 +187,173 @@ try {
   // Continue without input
 }
 
-/**
- * Load plugin configuration
- */
-function loadConfig() {
-  const defaults = {
-    enabled: true,
-    worktreeIsolation: false,
-    requireProgressFile: false,
-    gitHistoryLines: 10,
-    showFullProgress: true,
-    quietStart: false,
-    runSmokeTests: true,
-    smokeTestTimeout: 30
-  };
-
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const userConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-      return { ...defaults, ...userConfig };
-    }
-  } catch (e) {
-    // Use defaults
-  }
-
-  return defaults;
-}
-
-/**
- * Check if this is a git repository
- */
-function isGitRepo() {
-  try {
-    execSync('git rev-parse --git-dir', {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: 2000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
 /**
  * Get recent git history
  */
 function getGitHistory(lines = 10) {
-  if (!isGitRepo()) return null;
-  
-  try {
-    return execSync(`git log --oneline -${lines}`, {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: 5000
-    }).trim();
-  } catch (e) {
-    return null;
-  }
+  return git(['log', '--oneline', `-${lines}`], projectRoot);
 }
 
 /**
  * Get git status
  */
 function getGitStatus() {
-  if (!isGitRepo()) return null;
-  
-  try {
-    return execSync('git status --short', {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: 5000
-    }).trim();
-  } catch (e) {
-    return null;
-  }
+  return git(['status', '--short'], projectRoot);
 }
 
 /**
- * Check which required sections exist in PROGRESS.md
+ * Format one failed test with its history classification
  */
-function checkSections(content) {
-  const found = [];
-  const missing = [];
-  
-  for (const section of REQUIRED_SECTIONS) {
-    const patterns = [
-      new RegExp(`^##\\s+${section}`, 'mi'),
-      new RegExp(`^###\\s+${section}`, 'mi'),
-      new RegExp(`^#\\s+${section}`, 'mi'),
-      new RegExp(`\\*\\*${section}\\*\\*`, 'i')
-    ];
-    
-    const exists = patterns.some(p => p.test(content));
-    if (exists) {
-      found.push(section);
-    } else {
-      missing.push(section);
-    }
-  }
-  
-  return { found, missing };
+function formatFailure(test, itemId) {
+  const label = formatClassification(test.history);
+  const prefix = itemId ? `${itemId} ` : '';
+  return `  - ${prefix}${test.description}: ${test.error}${label ? ` [${label}]` : ''}`;
 }
 
 /**
- * Load and parse feature_list.json
+ * Format regression sweep results for the context block
  */
-function loadFeatureList() {
-  try {
-    if (fs.existsSync(FEATURE_LIST_FILE)) {
-      return JSON.parse(fs.readFileSync(FEATURE_LIST_FILE, 'utf8'));
+function formatRegressionSweep(sweep) {
+  const lines = [];
+  const failures = sweep.rows.flatMap(row =>
+    row.tests.filter(t => !t.passed && !t.skipped).map(t => ({ row, test: t }))
+  );
+  const onlyFlaky = failures.length > 0 &&
+    failures.every(({ test }) => test.history && test.history.label === 'known flaky');
+
+  if (sweep.mode === 'last') {
+    const row = sweep.rows[0];
+    lines.push('--- Smoke Test (last completed item) ---');
+    lines.push(`Item: ${row.itemId} - ${row.description}${row.cached ? ' (cached, tree unchanged)' : ''}`);
+    if (row.status === 'pass') {
+      lines.push('✅ All verification tests still passing');
+      return lines;
+    }
+  } else {
+    lines.push(`--- Regression Sweep (${sweep.mode === 'all' ? 'all completed items' : 'rotating'}) ---`);
+    lines.push('| Item | Result | Checks | Time |');
+    lines.push('|------|--------|--------|------|');
+    for (const row of sweep.rows) {
+      const result = { pass: '✅ pass', fail: '❌ fail', 'not-run': '⏭ not run (budget)' }[row.status];
+      const checks = row.status === 'not-run' && row.tests.length === 0
+        ? '-'
+        : `${row.tests.filter(t => t.passed).length}/${row.tests.length}`;
+      const time = row.cached ? 'cached' : `${(row.duration / 1000).toFixed(1)}s`;
+      lines.push(`| ${row.itemId} | ${result} | ${checks} | ${time} |`);
+    }
+    if (sweep.rows.some(row => row.status === 'not-run')) {
+      lines.push(sweep.mode === 'rotate'
+        ? 'Items not run this session are checked first next session.'
+        : 'Raise smokeTestBudget or use regressionMode "rotate" to cover the remaining items.');
+    }
+    if (failures.length === 0) {
+      return lines;
     }
-  } catch (e) {
-    // Return null if invalid
   }
-  return null;
+
+  lines.push(onlyFlaky ? '⚠️ KNOWN FLAKY FAILURES:' : '❌ REGRESSION DETECTED:');
+  for (const { row, test } of failures) {
+    lines.push(formatFailure(test, sweep.mode === 'last' ? null : row.itemId));
+  }
+  lines.push('');
+  lines.push('⚠️ Consider fixing regressions before starting new work.');
+  return lines;
 }
 
 /**
- * Get the next work item to work on
+ * Format the commits and files linked to a work item by its trailer
  */
-function getNextWorkItem(featureList) {
-  if (!featureList || !featureList.items) return null;
-  
-  // Find first pending item whose dependencies are all complete
-  const completedIds = new Set(
-    featureList.items
-      .filter(item => item.status === 'complete')
-      .map(item => item.id)
-  );
-  
-  // First check for in-progress items
-  const inProgress = featureList.items.find(item => item.status === 'in-progress');
-  if (inProgress) return inProgress;
-  
-  // Find next pending item with satisfied dependencies
-  for (const item of featureList.items) {
-    if (item.status !== 'pending') continue;
-    
-    const deps = item.dependencies || [];
-    const allDepsComplete = deps.every(depId => completedIds.has(depId));
-    
-    if (allDepsComplete) {
-      return item;
-    }
+function formatItemCommits(itemId) {
+  if (!isGitRepo(projectRoot)) return [];
+  const group = groupByWorkItem(getCommits(projectRoot)).get(itemId);
+  const lines = [''];
+
+  if (!group) {
+    lines.push(`Commits: none yet; add "${formatTrailer(itemId)}" to each commit for this item`);
+    return lines;
   }
-  
-  return null;
+
+  lines.push(`Commits (${group.commits.length}):`);
+  for (const commit of group.commits.slice(0, MAX_ITEM_COMMITS)) {
+    lines.push(`  • ${describeCommit(commit)}`);
+  }
+  if (group.commits.length > MAX_ITEM_COMMITS) {
+    lines.push(`  ... (${group.commits.length - MAX_ITEM_COMMITS} more)`);
+  }
+  const files = group.files.slice(0, MAX_ITEM_FILES).join(', ');
+  const more = group.files.length > MAX_ITEM_FILES ? ` ... (${group.files.length - MAX_ITEM_FILES} more)` : '';
+  lines.push(`Files changed: ${files}${more}`);
+  return lines;
 }
 
 /**
- * Run verification command with timeout
+ * Find the previous session's commits that were made while it had a work
+ * item in progress but don't carry the Work-Item trailer
  */
-function runVerification(verification, timeout = 30) {
-  try {
-    const result = execSync(verification.command, {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: timeout * 1000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    const expectedExit = verification.expectedExitCode || 0;
-    const expectedOutput = verification.expectedOutput;
-    
-    // Check output pattern if specified
-    if (expectedOutput) {
-      const pattern = new RegExp(expectedOutput);
-      if (!pattern.test(result)) {
-        return { passed: false, reason: `Output did not match pattern: ${expectedOutput}` };
-      }
-    }
-    
-    return { passed: true };
-  } catch (e) {
-    const expectedExit = verification.expectedExitCode || 0;
-    if (e.status === expectedExit) {
-      return { passed: true };
-    }
-    return { passed: false, reason: e.message || 'Command failed' };
-  }
+function getUntaggedPreviousCommits(sessionId) {
+  if (!isGitRepo(projectRoot)) return null;
+  const previous = loadSessions(STATE_DIR)
+    .filter(s => s.sessionId !== sessionId)
+    .pop();
+  if (!previous || !previous.workItem) return null;
+
+  const untagged = findUntagged(getSessionCommits(projectRoot, previous));
+  return untagged.length > 0 ? { itemId: previous.workItem.id, commits: untagged } : null;
 }
 
 /**
- * Run smoke tests on last completed item
+ * Add PROGRESS.md to the context one section per block, so the budget
+ * trims Recent Work before Next Steps and never drops Current State
  */
-function runSmokeTests(featureList, config) {
-  if (!config.runSmokeTests) return null;
-  if (!featureList || !featureList.items) return null;
-  
-  // Find most recently completed item
-  const completedItems = featureList.items
-    .filter(item => item.status === 'complete' && item.completedAt)
-    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
-  
-  if (completedItems.length === 0) return null;
-  
-  const lastCompleted = completedItems[0];
-  if (!lastCompleted.verification || lastCompleted.verification.length === 0) {
-    return null;
+function pushProgress(context, content, aliases) {
+  const doc = parseProgress(content, { aliases });
+  const names = new Map();
+  for (const [title, name] of Object.entries(PROGRESS_BLOCKS)) {
+    const section = getSection(doc, title);
+    if (section && !names.has(section)) names.set(section, name);
   }
-  
-  const results = {
-    itemId: lastCompleted.id,
-    itemDescription: lastCompleted.description,
-    tests: []
-  };
-  
-  for (const verification of lastCompleted.verification) {
-    if (verification.optional) continue;
-    
-    const result = runVerification(verification, config.smokeTestTimeout);
-    results.tests.push({
-      command: verification.command,
-      description: verification.description,
-      passed: result.passed,
-      reason: result.reason
-    });
+
+  context.push('=== PROGRESS.md ===');
+  context.section('otherSections', { more: PROGRESS_MORE });
+  context.push(...doc.preamble);
+  for (const section of doc.sections) {
+    const name = names.get(section) || 'otherSections';
+    const more = name === 'recentWork'
+      ? `read .claude/PROGRESS.md for more; older entries: \`${CLI} search <text>\``
+      : PROGRESS_MORE;
+    context.section(name, { required: name === 'currentState', more });
+    context.push(section.heading, ...section.lines);
   }
-  
-  results.allPassed = results.tests.every(t => t.passed);
-  return results;
+  if (doc.trailingNewline) context.push('');
 }
 
 /**
- * Calculate feature progress
+ * Snapshot mode outside git: hash the tree and keep it as this session's
+ * starting point (a resumed or compacted session keeps its original one)
+ *
+ * Returns { sinceLastSession, thisSession, truncated }; sinceLastSession is
+ * null before any session has ended, thisSession null on a fresh start
  */
-function getFeatureProgress(featureList) {
-  if (!featureList || !featureList.items) return null;
-  
-  const total = featureList.items.length;
-  const completed = featureList.items.filter(i => i.status === 'complete').length;
-  const inProgress = featureList.items.filter(i => i.status === 'in-progress').length;
-  const blocked = featureList.items.filter(i => i.status === 'blocked').length;
-  const pending = featureList.items.filter(i => i.status === 'pending').length;
-  
-  return { total, completed, inProgress, blocked, pending };
+function recordStartSnapshot(sessionId, config) {
+  const lastSession = loadContentSnapshot(STATE_DIR, LAST_SESSION);
+  let start = loadContentSnapshot(STATE_DIR, SESSION_START);
+  const resumed = !!(start && sessionId && start.sessionId === sessionId);
+
+  const snapshot = takeContentSnapshot(projectRoot, {
+    ignore: loadIgnorePatterns(projectRoot, config.snapshotIgnore),
+    previous: resumed ? start : lastSession,
+    sessionId
+  });
+  if (!resumed) {
+    start = snapshot;
+    saveContentSnapshot(STATE_DIR, SESSION_START, start);
+  }
+
+  return {
+    sinceLastSession: lastSession ? diffContentSnapshots(lastSession, start) : null,
+    thisSession: resumed ? diffContentSnapshots(start, snapshot) : null,
+    truncated: snapshot.truncated
+  };
 }
 
 /**
@@ -290,37 +364,45 @@ function initStateDir(sessionId) {
     fs.mkdirSync(STATE_DIR, { recursive: true });
   }
   
-  // Clear stale modification tracking
+  // Clear stale modification tracking (a corrupt file is moved aside as
+  // modifications.json.corrupt-<time> by the state store)
   const modFile = path.join(STATE_DIR, 'modifications.json');
-  if (fs.existsSync(modFile)) {
-    try {
-      const mods = JSON.parse(fs.readFileSync(modFile, 'utf8'));
+  try {
+    withLock(modFile, () => {
+      const mods = readJson(modFile);
       // Only clear if from a different session
-      if (sessionId && mods.sessionId && mods.sessionId !== sessionId) {
-        fs.unlinkSync(modFile);
+      if (mods && sessionId && mods.sessionId && mods.sessionId !== sessionId) {
+        // Keep the previous session's edits in the ledger before clearing
+        rollUpSubagents(mods);
+        appendEvent(STATE_DIR, 'modifications', mods.sessionId, {
+          files: mods.files || [],
+          count: mods.count || 0
+        });
+        writeJson(modFile, emptyModifications(sessionId));
       }
-    } catch (e) {
-      fs.unlinkSync(modFile);
-    }
+    });
+  } catch (e) {
+    // Lock held too long; track-modification resets on the next edit
   }
   
-  // Record session start
+  // Record session start (current-session.json holds only the latest
+  // session; the ledger keeps every one)
   if (sessionId) {
     const sessionFile = path.join(STATE_DIR, 'current-session.json');
-    fs.writeFileSync(sessionFile, JSON.stringify({
+    writeJson(sessionFile, {
       sessionId,
       startTime: new Date().toISOString(),
       cwd: projectRoot,
       contextSynced: false
-    }, null, 2), 'utf8');
+    });
   }
 }
 
 /**
  * Main
  */
-function main() {
-  const config = loadConfig();
+async function main() {
+  const { config, warnings: configWarnings } = readConfig(projectRoot);
   
   if (!config.enabled) {
     process.exit(0);
@@ -332,58 +414,159 @@ function main() {
   initStateDir(sessionId);
 
   // Build context output with clear markers
-  const contextParts = [];
+  const contextParts = createContext();
   
   contextParts.push('### PROJECT CONTEXT START ###');
   
-  // Check for feature_list.json (multi-session feature tracking)
-  const featureList = loadFeatureList();
+  // Problems in context-sync.json (the affected settings use their defaults)
+  if (configWarnings.length > 0) {
+    contextParts.push('=== CONFIG WARNINGS ===');
+    for (const warning of configWarnings) {
+      contextParts.push(`⚠️ ${warning}`);
+    }
+    contextParts.push(`Run \`${CLI} doctor\` to see the effective configuration.`);
+    contextParts.push('');
+  }
   
-  if (featureList && featureList.status !== 'complete') {
+  // Monorepo package: say whose context this is
+  const workspaceRoot = findWorkspaceRoot(projectRoot);
+  if (workspaceRoot !== projectRoot) {
+    contextParts.push(`📁 Package ${path.relative(workspaceRoot, projectRoot)} (workspace root: ${workspaceRoot})`);
+    contextParts.push('');
+  }
+  
+  // Check for feature plans (multi-session feature tracking)
+  // Under worktree isolation, plans live in the main worktree
+  const isolation = config.worktreeIsolation && isGitRepo(projectRoot);
+  const inWorktree = isolation && isLinkedWorktree(projectRoot);
+  const planDir = getPlanDir(projectRoot, isolation);
+  const features = loadFeatures(planDir);
+  const activeSlug = getActiveSlug(planDir);
+  const activeFeature = getActiveFeature(features, activeSlug);
+  const next = isolation
+    ? getNextIsolationItem(features, activeSlug, projectRoot)
+    : getNextWorkItem(features, activeSlug);
+  
+  // Claim the next eligible item so the Stop hook has something to verify;
+  // under isolation the claim also creates the item's worktree
+  let claimed = false;
+  let claimError = null;
+  if (config.autoStartNextItem && next && next.item.status === 'pending') {
+    try {
+      const options = { sessionId };
+      if (isolation) {
+        const worktree = ensureItemWorktree(projectRoot, next.item.id, config.worktreeDir);
+        options.parallel = true;
+        options.worktree = { branch: worktree.branch, path: worktree.path };
+      }
+      transitionWorkItem(next.feature, next.item, 'in-progress', options);
+      claimed = true;
+    } catch (e) {
+      claimError = e.message;
+    }
+  }
+  
+  const current = isolation
+    ? getSessionWorkItem(features, activeSlug, projectRoot)
+    : getCurrentWorkItem(features, activeSlug);
+  appendEvent(STATE_DIR, 'start', sessionId, {
+    cwd: projectRoot,
+    gitHead: getHead(projectRoot),
+    workItem: current ? { feature: current.feature.slug, id: current.item.id } : null,
+    worktree: current && current.item.worktree ? current.item.worktree : null
+  });
+  
+  // Report malformed plans instead of treating them as missing
+  const invalidFeatures = getInvalidFeatures(features);
+  if (invalidFeatures.length > 0) {
+    contextParts.push('=== FEATURE PLAN ERRORS ===');
+    for (const feature of invalidFeatures) {
+      const relativeFile = path.relative(projectRoot, feature.file);
+      contextParts.push(`⚠️ ${relativeFile} is invalid (schemas/feature-list.schema.json):`);
+      for (const error of feature.errors.slice(0, MAX_SCHEMA_ERRORS)) {
+        contextParts.push(`  - ${formatError(error)}`);
+      }
+      if (feature.errors.length > MAX_SCHEMA_ERRORS) {
+        contextParts.push(`  ... (${feature.errors.length - MAX_SCHEMA_ERRORS} more)`);
+      }
+    }
+    contextParts.push('Fix these before relying on the plan; invalid entries may be ignored.');
+    contextParts.push('');
+  }
+  
+  if (activeFeature) {
+    const featureList = activeFeature.featureList;
     const progress = getFeatureProgress(featureList);
-    const nextItem = getNextWorkItem(featureList);
+    const nextItem = next ? next.item : null;
     
+    contextParts.section('feature', { more: `run \`${CLI} progress\` for more` });
     contextParts.push('=== ACTIVE FEATURE ===');
-    contextParts.push(`📦 **${featureList.feature}**`);
+    contextParts.push(`📦 **${featureList.feature}** (${activeFeature.slug})`);
     contextParts.push(`Status: ${featureList.status}`);
     
     if (progress) {
-      const progressBar = '█'.repeat(progress.completed) + '░'.repeat(progress.total - progress.completed);
-      contextParts.push(`Progress: [${progressBar}] ${progress.completed}/${progress.total} items`);
+      contextParts.push(`Progress: [${renderProgressBar(progress)}] ${progress.completed}/${progress.total} items`);
       
       if (progress.blocked > 0) {
         contextParts.push(`⚠️ ${progress.blocked} item(s) blocked`);
       }
     }
     
-    // Run smoke tests on last completed item
+    // Dependency graph problems and the longest remaining chain
+    const graph = analyzeDependencies(getItems(featureList));
+    const problems = describeProblems(graph);
+    if (graph.criticalPath.path.length > 1) {
+      contextParts.push(`Critical path: ${graph.criticalPath.path.join(' → ')}`);
+    }
+    if (problems.length > 0) {
+      contextParts.push('');
+      contextParts.push('--- Dependency Problems ---');
+      for (const problem of problems) {
+        contextParts.push(`  ⚠️ ${problem}`);
+      }
+    }
+    
+    // Re-verify completed items (smoke test / regression sweep)
     if (config.runSmokeTests && progress && progress.completed > 0) {
-      const smokeResults = runSmokeTests(featureList, config);
-      if (smokeResults) {
+      const sweep = await runRegressionSweep(activeFeature, {
+        projectRoot,
+        stateDir: STATE_DIR,
+        sessionId,
+        mode: config.regressionMode,
+        timeout: config.smokeTestTimeout,
+        concurrency: config.smokeTestConcurrency,
+        budget: getTimeBudget(config.smokeTestBudget, 'SessionStart', 'session-start.js')
+      });
+      if (sweep) {
         contextParts.push('');
-        contextParts.push('--- Smoke Test (last completed item) ---');
-        contextParts.push(`Item: ${smokeResults.itemId} - ${smokeResults.itemDescription}`);
-        
-        if (smokeResults.allPassed) {
-          contextParts.push('✅ All verification tests still passing');
-        } else {
-          contextParts.push('❌ REGRESSION DETECTED:');
-          for (const test of smokeResults.tests) {
-            if (!test.passed) {
-              contextParts.push(`  - ${test.description}: ${test.reason}`);
-            }
-          }
-          contextParts.push('');
-          contextParts.push('⚠️ Consider fixing regressions before starting new work.');
-        }
+        contextParts.push(...formatRegressionSweep(sweep));
       }
     }
     
     // Show next work item
     if (nextItem) {
+      contextParts.section('currentItem', { required: true });
       contextParts.push('');
-      contextParts.push('--- Next Work Item ---');
+      if (inWorktree) {
+        contextParts.push(`--- Current Work Item (worktree branch ${nextItem.worktree.branch}) ---`);
+      } else if (claimed && nextItem.worktree) {
+        contextParts.push('--- Work Item (claimed in its own worktree) ---');
+      } else {
+        contextParts.push(claimed ? '--- Current Work Item (claimed for this session) ---' : '--- Next Work Item ---');
+      }
       contextParts.push(`🎯 **${nextItem.id}**: ${nextItem.description}`);
+      if (claimed) {
+        contextParts.push(`Marked in-progress at ${nextItem.startedAt}; verification runs when the session stops.`);
+      } else if (claimError) {
+        contextParts.push(`⚠️ Could not claim this item: ${claimError}`);
+      }
+      if (nextItem.worktree && !inWorktree) {
+        contextParts.push(`Isolated in worktree ${nextItem.worktree.path} (branch ${nextItem.worktree.branch}).`);
+        contextParts.push(`Work on this item from a session started there: cd ${nextItem.worktree.path}`);
+      }
+      if (next.feature !== activeFeature) {
+        contextParts.push(`Feature: ${next.feature.featureList.feature} (${next.feature.slug})`);
+      }
       contextParts.push(`Effort: ${nextItem.estimatedEffort || 'not estimated'}`);
       
       if (nextItem.acceptanceCriteria && nextItem.acceptanceCriteria.length > 0) {
@@ -410,6 +593,8 @@ function main() {
       if (nextItem.dependencies && nextItem.dependencies.length > 0) {
         contextParts.push(`Dependencies: ${nextItem.dependencies.join(', ')} (all complete)`);
       }
+      
+      contextParts.push(...formatItemCommits(nextItem.id));
     } else if (progress && progress.pending === 0 && progress.inProgress === 0) {
       contextParts.push('');
       contextParts.push('🎉 All work items complete! Consider marking feature as complete.');
@@ -418,13 +603,108 @@ function main() {
       contextParts.push('⚠️ Remaining items are blocked. Review blocked items to unblock.');
     }
     
+    // Commits from the last session that don't name its work item
+    contextParts.section('feature', { more: `run \`${CLI} status\` for more` });
+    const untagged = getUntaggedPreviousCommits(sessionId);
+    if (untagged) {
+      contextParts.push('');
+      contextParts.push(`⚠️ Last session worked on ${untagged.itemId}, but these commits lack a "${formatTrailer(untagged.itemId)}" trailer:`);
+      for (const commit of untagged.commits.slice(0, MAX_ITEM_COMMITS)) {
+        contextParts.push(`  • ${describeCommit(commit)}`);
+      }
+    }
+    
+    // Explain why the active feature's pending items can't start yet
+    if (progress && progress.pending > 0 && progress.inProgress === 0 &&
+        getEligibleItems(graph).length === 0) {
+      const waiting = getItems(featureList).filter(i => i.status === 'pending');
+      contextParts.push('');
+      contextParts.push('--- Waiting Items ---');
+      for (const item of waiting.slice(0, MAX_WAITING_ITEMS)) {
+        contextParts.push(`  - ${item.id}: ${explainIneligible(graph, item.id).join('; ')}`);
+      }
+      if (waiting.length > MAX_WAITING_ITEMS) {
+        contextParts.push(`  ... (${waiting.length - MAX_WAITING_ITEMS} more)`);
+      }
+    }
+    
+    // List every open feature when more than one is in flight
+    const openFeatures = features.filter(isOpenFeature);
+    if (openFeatures.length > 1) {
+      contextParts.push('');
+      contextParts.push('--- Open Features ---');
+      for (const feature of openFeatures) {
+        const featureProgress = getFeatureProgress(feature.featureList);
+        const marker = feature === activeFeature ? '▶' : '•';
+        const counts = featureProgress
+          ? `[${renderProgressBar(featureProgress)}] ${featureProgress.completed}/${featureProgress.total} items`
+          : 'no items';
+        contextParts.push(`  ${marker} ${feature.featureList.feature} (${feature.slug}): ${counts}, ${feature.featureList.status}`);
+      }
+      contextParts.push(`Switch the active feature with \`${CLI} feature use <slug>\``);
+    }
+    
+    contextParts.push('');
+  }
+  
+  // Isolated branches with work not yet in the main worktree, with the
+  // sessions that ended in them since (recorded by SessionEnd)
+  if (isolation && !inWorktree) {
+    const merges = getPendingMerges(features, projectRoot);
+    const ended = takeMergeReady(projectRoot, merges.map(merge => merge.branch));
+    if (merges.length > 0) {
+      contextParts.section('feature', { more: `run \`${CLI} status\` for more` });
+      contextParts.push('--- Worktrees to Merge ---');
+      for (const merge of merges) {
+        const state = [
+          merge.ahead > 0 ? `${merge.ahead} commit(s) ahead` : null,
+          merge.uncommitted > 0 ? `${merge.uncommitted} uncommitted change(s)` : null,
+          ended[merge.branch] ? `session ended ${ended[merge.branch].endedAt}` : null
+        ].filter(Boolean).join(', ');
+        contextParts.push(`  - ${merge.item.id} [${merge.item.status}] ${merge.branch} at ${merge.path}: ${state}`);
+      }
+      contextParts.push('Merge finished items with `git merge <branch>`, then `git worktree remove <path>`.');
+      contextParts.push('');
+    }
+  }
+  
+  // At a monorepo's root, every package's active feature
+  const packages = workspaceRoot === projectRoot ? listPackages(projectRoot, config.packages) : [];
+  if (packages.length > 0) {
+    contextParts.section('packages', { more: `run \`${CLI} packages\` for more` });
+    contextParts.push('=== PACKAGES ===');
+    for (const relative of packages) {
+      contextParts.push(`  • ${describePackage(summarizePackage(projectRoot, relative))}`);
+    }
+    contextParts.push('Each package keeps its own .claude/; a session started in its directory gets its full context.');
     contextParts.push('');
   }
   
   // Check for PROGRESS.md
+  contextParts.section('progressNotes', { required: true });
   if (fs.existsSync(PROGRESS_FILE)) {
+    const sections = loadSections(config);
+    const aliases = getAliases(sections);
+
+    // Age out Recent Work entries before the file is injected
+    let archived = [];
+    try {
+      archived = archiveRecentWork(CLAUDE_DIR, {
+        maxEntries: config.recentWorkMaxEntries,
+        maxAgeDays: config.recentWorkMaxAgeDays,
+        aliases
+      }).archived;
+    } catch (e) {
+      // Keep the file as it is
+    }
+
     const progress = fs.readFileSync(PROGRESS_FILE, 'utf8');
-    const { found, missing } = checkSections(progress);
+    const { found, missing } = checkSections(progress, getRequiredSections(sections), aliases);
+
+    if (archived.length > 0) {
+      contextParts.push(`🗄️ Moved ${archived.length} older Recent Work entr${archived.length === 1 ? 'y' : 'ies'} to .claude/progress-archive/ (search with: \`${CLI} search <text>\`)`);
+      contextParts.push('');
+    }
     
     if (missing.length > 0) {
       contextParts.push(`⚠️ PROGRESS.md is missing sections: ${missing.join(', ')}`);
@@ -433,11 +713,11 @@ function main() {
     }
     
     if (config.showFullProgress) {
-      contextParts.push('=== PROGRESS.md ===');
-      contextParts.push(progress);
+      pushProgress(contextParts, progress, aliases);
     } else {
       const lines = progress.split('\n');
       const preview = lines.slice(0, 30).join('\n');
+      contextParts.section('recentWork', { more: PROGRESS_MORE });
       contextParts.push('=== PROGRESS.md (preview) ===');
       contextParts.push(preview);
       if (lines.length > 30) {
@@ -454,34 +734,82 @@ function main() {
     contextParts.push('');
     contextParts.push('Run /sync-context to initialize, or create manually.');
   }
+  
+  // Files the context points at that are gone
+  if (config.checkFileReferences) {
+    const bases = [...new Set([projectRoot, workspaceRoot])];
+    const references = collectReferences({
+      progress: fs.existsSync(PROGRESS_FILE) ? fs.readFileSync(PROGRESS_FILE, 'utf8') : null,
+      aliases: getAliases(loadSections(config)),
+      features,
+      bases,
+      claudeDir: planDir
+    });
+    const stale = checkReferences(references, bases);
+    if (stale.length > 0) {
+      // A warning: kept whatever the budget, like the other warnings
+      contextParts.section('staleReferences', { required: true });
+      contextParts.push('');
+      contextParts.push('⚠️ Files named in the project context no longer exist:');
+      for (const problem of stale.slice(0, MAX_STALE_REFERENCES)) {
+        contextParts.push(`  - ${describeReference(problem)}`);
+      }
+      if (stale.length > MAX_STALE_REFERENCES) {
+        contextParts.push(`  ... (${stale.length - MAX_STALE_REFERENCES} more)`);
+      }
+      contextParts.push('Update these references before relying on them.');
+    }
+  }
 
   // Add git context
-  if (isGitRepo()) {
+  if (isGitRepo(projectRoot)) {
     const history = getGitHistory(config.gitHistoryLines);
     if (history) {
+      contextParts.section('gitHistory', { more: 'run `git log --oneline -n 30` for more' });
       contextParts.push('\n=== RECENT GIT HISTORY ===');
       contextParts.push(history);
     }
 
     const status = getGitStatus();
+    contextParts.section('changes', { more: 'run `git status --short` for the full list' });
     if (status) {
       contextParts.push('\n=== UNCOMMITTED CHANGES ===');
       contextParts.push(status);
     } else {
       contextParts.push('\n=== GIT STATUS: Clean working tree ===');
     }
+  } else if (config.snapshotMode) {
+    // Content hashes stand in for git history and status
+    const snapshot = recordStartSnapshot(sessionId, config);
+    contextParts.section('changes');
+    if (!snapshot.sinceLastSession) {
+      contextParts.push('\n=== FILE SNAPSHOT: First snapshot recorded; changes are reported from the next session ===');
+    } else if (snapshot.sinceLastSession.count > 0) {
+      contextParts.push('\n=== CHANGED SINCE LAST SESSION (snapshot) ===');
+      contextParts.push(formatChanges(snapshot.sinceLastSession, MAX_SNAPSHOT_CHANGES).join('\n'));
+    } else {
+      contextParts.push('\n=== FILE SNAPSHOT: No changes since last session ===');
+    }
+    if (snapshot.thisSession && snapshot.thisSession.count > 0) {
+      contextParts.push('\n=== CHANGED THIS SESSION (snapshot) ===');
+      contextParts.push(formatChanges(snapshot.thisSession, MAX_SNAPSHOT_CHANGES).join('\n'));
+    }
+    if (snapshot.truncated) {
+      contextParts.push(`(Snapshot stopped at ${MAX_WALK_FILES} files; add snapshotIgnore patterns to skip generated files)`);
+    }
   } else {
+    contextParts.section('changes');
     contextParts.push('\n(Not a git repository)');
   }
 
+  contextParts.section('footer', { required: true });
   contextParts.push('\n### PROJECT CONTEXT END ###');
   contextParts.push('');
   
   // Contextual guidance based on state
-  if (featureList && featureList.status === 'in-progress') {
-    const nextItem = getNextWorkItem(featureList);
-    if (nextItem) {
-      contextParts.push(`Focus on work item **${nextItem.id}**. Run verification commands when complete.`);
+  if (activeFeature && activeFeature.featureList.status === 'in-progress') {
+    if (next) {
+      contextParts.push(`Focus on work item **${next.item.id}**. Run verification commands when complete.`);
     }
   } else {
     contextParts.push('Review the above context, then choose ONE task to work on this session.');
@@ -489,7 +817,7 @@ function main() {
 
   // Output context
   if (!config.quietStart) {
-    const context = contextParts.join('\n');
+    const context = renderContext(contextParts.blocks, getBudget(config), config.contextPriorities);
     
     console.log(JSON.stringify({
       hookSpecificOutput: {
@@ -502,4 +830,7 @@ function main() {
   process.exit(0);
 }
 
-main();
+main().catch(() => {
+  // Never fail session start over context gathering
+  process.exit(0);
+});
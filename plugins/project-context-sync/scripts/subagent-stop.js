@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * subagent-stop.js
+ *
+ * Runs on SubagentStop. Track-modification.js records a subagent's edits
+ * under its agent ID; this closes that record with the agent type and a
+ * summary (the subagent's last message), rolls its files into the
+ * session's modification record and adds it to the session ledger, so the
+ * Stop summary and SessionEnd prompt can say which subagent changed what.
+ * Never blocks the subagent. Does nothing when the layered config
+ * (lib/config.js) disables the plugin. Works from the nearest context root
+ * above the working directory (lib/workspace.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { appendEvent } = require('./lib/session-ledger');
+const {
+  emptyModifications,
+  getSubagent,
+  rollUpSubagent,
+  rollUpSubagents
+} = require('./lib/modifications');
+const { updateJson } = require('./lib/state-store');
+const { loadConfig } = require('./lib/config');
+const { findContextRoot } = require('./lib/workspace');
+
+const projectRoot = findContextRoot();
+const STATE_DIR = path.join(projectRoot, '.claude', '.context-state');
+const MODIFICATIONS_FILE = path.join(STATE_DIR, 'modifications.json');
+
+// Longest summary kept from the subagent's last message
+const MAX_SUMMARY_CHARS = 200;
+
+// Read hook input from stdin
+let hookInput = {};
+try {
+  const input = fs.readFileSync(0, 'utf8');
+  if (input.trim()) {
+    hookInput = JSON.parse(input);
+  }
+} catch (e) {
+  process.exit(0);
+}
+
+/**
+ * Subagent ID from the hook input, or from its transcript's file name
+ * (agent-<id>.jsonl)
+ */
+function getAgentId() {
+  if (hookInput.agent_id) return String(hookInput.agent_id);
+  const transcript = hookInput.agent_transcript_path;
+  if (transcript) return path.basename(transcript, '.jsonl').replace(/^agent-/, '');
+  return null;
+}
+
+/**
+ * First paragraph of the subagent's last message, shortened
+ */
+function getSummary() {
+  const transcript = hookInput.agent_transcript_path;
+  if (!transcript || !fs.existsSync(transcript)) return null;
+
+  let last = null;
+  for (const line of fs.readFileSync(transcript, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      const content = entry.type === 'assistant' && entry.message && entry.message.content;
+      const text = Array.isArray(content)
+        ? content.filter(block => block.type === 'text').map(block => block.text).join('\n')
+        : (typeof content === 'string' ? content : '');
+      if (text.trim()) last = text;
+    } catch (e) {
+      // Skip torn lines
+    }
+  }
+  if (!last) return null;
+
+  const paragraph = last.trim().split(/\n\s*\n/)[0].replace(/\s+/g, ' ');
+  return paragraph.length > MAX_SUMMARY_CHARS
+    ? `${paragraph.slice(0, MAX_SUMMARY_CHARS - 1)}…`
+    : paragraph;
+}
+
+/**
+ * Main
+ */
+function main() {
+  if (!loadConfig(projectRoot).enabled) {
+    process.exit(0);
+  }
+
+  const agentId = getAgentId();
+  const sessionId = hookInput.session_id || null;
+  if (!agentId) {
+    process.exit(0);
+  }
+
+  const summary = getSummary();
+  let subagent = null;
+
+  updateJson(MODIFICATIONS_FILE, emptyModifications, mods => {
+    // A record left by another session is archived, as track-modification does
+    if (sessionId && mods.sessionId && mods.sessionId !== sessionId) {
+      rollUpSubagents(mods);
+      appendEvent(STATE_DIR, 'modifications', mods.sessionId, {
+        files: mods.files,
+        count: mods.count
+      });
+      mods = emptyModifications(sessionId);
+    }
+    if (sessionId && !mods.sessionId) {
+      mods.sessionId = sessionId;
+    }
+
+    subagent = getSubagent(mods, agentId, hookInput.agent_type);
+    subagent.stoppedAt = new Date().toISOString();
+    if (summary) subagent.summary = summary;
+    rollUpSubagent(mods, agentId);
+    return mods;
+  });
+
+  appendEvent(STATE_DIR, 'subagent', sessionId, {
+    agentId,
+    agentType: subagent.agentType,
+    summary: subagent.summary,
+    files: subagent.files,
+    count: subagent.count
+  });
+  process.exit(0);
+}
+
+try {
+  main();
+} catch (e) {
+  // Recording must never get in the way of the subagent
+  process.exit(0);
+}
@@ -1,10 +1,32 @@
 #!/usr/bin/env node
 /**
- * track-modification.js (v1.1)
+ * track-modification.js (v1.9)
  * 
- * Runs PostToolUse for Write|Edit|NotebookEdit to track file modifications.
+ * Runs PostToolUse for Write|Edit|NotebookEdit|Bash to track file modifications.
  * Used to detect when context may be stale.
  * 
+ * v1.9 Changes:
+ * - Tool calls made by a subagent (agent_id in the hook input) are recorded
+ *   under that subagent; subagent-stop.js rolls them into the session's
+ *   record when the subagent stops
+ * 
+ * v1.8 Changes:
+ * - Reads the layered config (lib/config.js); does nothing when disabled
+ * - Tracks into the nearest context root (lib/workspace.js) and records the
+ *   monorepo package owning each file
+ * 
+ * v1.6 Changes:
+ * - Bash tool calls tracked: PreToolUse snapshots the tree (git status, or a
+ *   walk outside git), PostToolUse diffs it and records the changed files
+ * - One record per file: first/last edit time, edit count, tools used, and
+ *   the old_string/new_string line delta of Edit calls
+ * - modifications.json updated under a lock and written atomically, so
+ *   concurrent tool calls don't lose each other's records
+ * 
+ * v1.5 Changes:
+ * - The previous session's files are kept in the session ledger before
+ *   tracking resets for a new session
+ * 
  * v1.1 Changes:
  * - Added session_id tracking for session isolation
  * - Modifications from different sessions are tracked separately
@@ -12,10 +34,26 @@
 
 const fs = require('fs');
 const path = require('path');
+const { appendEvent } = require('./lib/session-ledger');
+const { takeSnapshot, diffSnapshots } = require('./lib/snapshot');
+const {
+  emptyModifications,
+  getEditDelta,
+  recordEdit,
+  getSubagent,
+  rollUpSubagents
+} = require('./lib/modifications');
+const { updateJson, writeFileAtomic } = require('./lib/state-store');
+const { loadConfig } = require('./lib/config');
+const { findContextRoot, findWorkspaceRoot, getOwningPackage } = require('./lib/workspace');
 
-const projectRoot = process.cwd();
+const projectRoot = findContextRoot();
 const STATE_DIR = path.join(projectRoot, '.claude', '.context-state');
 const MODIFICATIONS_FILE = path.join(STATE_DIR, 'modifications.json');
+const SNAPSHOT_DIR = path.join(STATE_DIR, 'bash-snapshots');
+
+// Snapshots whose PostToolUse never arrived are removed after this long
+const SNAPSHOT_MAX_AGE_MS = 60 * 60 * 1000;
 
 // Read hook input from stdin
 let hookInput = {};
@@ -37,42 +75,121 @@ function getFilePath(toolInput) {
 }
 
 /**
- * Load current modifications
+ * Check if a path is one of the plugin's own context files
  */
-function loadModifications() {
-  try {
-    if (fs.existsSync(MODIFICATIONS_FILE)) {
-      return JSON.parse(fs.readFileSync(MODIFICATIONS_FILE, 'utf8'));
+function isContextFile(relativePath) {
+  return relativePath.includes('.claude/') &&
+    (relativePath.includes('PROGRESS.md') ||
+     relativePath.includes('.context-state'));
+}
+
+/**
+ * Snapshot file for one Bash tool call
+ */
+function getSnapshotFile() {
+  const key = hookInput.tool_use_id || hookInput.session_id || 'bash';
+  return path.join(SNAPSHOT_DIR, `${key.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+}
+
+/**
+ * PreToolUse for Bash: remember the tree before the command runs
+ */
+function snapshotBeforeBash() {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+
+  // Drop snapshots left by calls that never reported back
+  for (const name of fs.readdirSync(SNAPSHOT_DIR)) {
+    const file = path.join(SNAPSHOT_DIR, name);
+    try {
+      if (Date.now() - fs.statSync(file).mtimeMs > SNAPSHOT_MAX_AGE_MS) fs.unlinkSync(file);
+    } catch (e) {
+      // Removed concurrently
     }
-  } catch (e) {
-    // Start fresh
   }
-  return {
-    sessionId: null,
-    files: [],
-    count: 0,
-    lastModified: null,
-    contextSyncedAt: null
-  };
+
+  writeFileAtomic(getSnapshotFile(), JSON.stringify(takeSnapshot(projectRoot)));
 }
 
 /**
- * Save modifications
+ * PostToolUse for Bash: files changed since the PreToolUse snapshot
  */
-function saveModifications(data) {
-  if (!fs.existsSync(STATE_DIR)) {
-    fs.mkdirSync(STATE_DIR, { recursive: true });
+function getBashChanges() {
+  const snapshotFile = getSnapshotFile();
+  if (!fs.existsSync(snapshotFile)) return [];
+
+  let before;
+  try {
+    before = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+  } catch (e) {
+    return [];
+  } finally {
+    fs.unlinkSync(snapshotFile);
   }
-  fs.writeFileSync(MODIFICATIONS_FILE, JSON.stringify(data, null, 2), 'utf8');
+  return diffSnapshots(before, takeSnapshot(projectRoot), projectRoot);
+}
+
+/**
+ * Record modified files for the current session, or for the subagent
+ * that made the tool call
+ */
+function recordModifications(relativePaths, toolName, sessionId, delta) {
+  const workspaceRoot = findWorkspaceRoot(projectRoot);
+  const owners = relativePaths.map(relativePath =>
+    getOwningPackage(path.join(projectRoot, relativePath), workspaceRoot));
+
+  // Locked read-modify-write: concurrent tool calls must not drop each other's edits
+  updateJson(MODIFICATIONS_FILE, emptyModifications, mods => {
+    // If this is a different session, reset the tracking
+    if (sessionId && mods.sessionId && mods.sessionId !== sessionId) {
+      rollUpSubagents(mods);
+      appendEvent(STATE_DIR, 'modifications', mods.sessionId, {
+        files: mods.files,
+        count: mods.count
+      });
+      mods = emptyModifications(sessionId);
+    }
+
+    // Set session ID if not set
+    if (sessionId && !mods.sessionId) {
+      mods.sessionId = sessionId;
+    }
+
+    // Track the modification
+    // A subagent's edits go to its own entry; once it has been rolled up
+    // (a resumed subagent), to the session's as well
+    const subagent = hookInput.agent_id ? getSubagent(mods, hookInput.agent_id, hookInput.agent_type) : null;
+    relativePaths.forEach((relativePath, i) => {
+      if (subagent) recordEdit(subagent, relativePath, toolName, delta, owners[i]);
+      if (!subagent || subagent.rolledUp) recordEdit(mods, relativePath, toolName, delta, owners[i]);
+    });
+    return mods;
+  });
 }
 
 /**
  * Main
  */
 function main() {
+  if (!loadConfig(projectRoot).enabled) {
+    process.exit(0);
+  }
+
   const toolName = hookInput.tool_name || '';
   const toolInput = hookInput.tool_input || {};
   const sessionId = hookInput.session_id || null;
+
+  if (toolName === 'Bash') {
+    if (hookInput.hook_event_name === 'PreToolUse') {
+      snapshotBeforeBash();
+      process.exit(0);
+    }
+    const changed = getBashChanges().filter(file => !isContextFile(file));
+    if (changed.length > 0) {
+      recordModifications(changed, toolName, sessionId);
+    }
+    process.exit(0);
+  }
+
   const filePath = getFilePath(toolInput);
 
   if (!filePath) {
@@ -83,40 +200,18 @@ function main() {
   const relativePath = path.relative(projectRoot, filePath);
   
   // Skip tracking for context-related files
-  if (relativePath.includes('.claude/') && 
-      (relativePath.includes('PROGRESS.md') || 
-       relativePath.includes('.context-state'))) {
+  if (isContextFile(relativePath)) {
     process.exit(0);
   }
 
-  // Load and update modifications
-  let mods = loadModifications();
-  
-  // If this is a different session, reset the tracking
-  if (sessionId && mods.sessionId && mods.sessionId !== sessionId) {
-    mods = {
-      sessionId: sessionId,
-      files: [],
-      count: 0,
-      lastModified: null,
-      contextSyncedAt: null
-    };
-  }
-  
-  // Set session ID if not set
-  if (sessionId && !mods.sessionId) {
-    mods.sessionId = sessionId;
-  }
-  
-  // Track the modification
-  if (!mods.files.includes(relativePath)) {
-    mods.files.push(relativePath);
-  }
-  mods.count++;
-  mods.lastModified = new Date().toISOString();
-
-  saveModifications(mods);
+  const delta = toolName === 'Edit' || toolName === 'MultiEdit' ? getEditDelta(toolInput) : undefined;
+  recordModifications([relativePath], toolName, sessionId, delta);
   process.exit(0);
 }
 
-main();
+try {
+  main();
+} catch (e) {
+  // Tracking must never get in the way of the tool call
+  process.exit(0);
+}
@@ -1,9 +1,59 @@
 #!/usr/bin/env node
 /**
- * validate-progress.js (v1.2)
+ * validate-progress.js (v1.9)
  * 
- * Pre-validates PROGRESS.md and feature_list.json before the Stop hook prompt runs.
- * Generates a machine-readable summary that the LLM can use for accurate evaluation.
+ * Validates PROGRESS.md and feature plans when the session stops and decides
+ * whether it may stop. Keeps a machine-readable summary of the checks.
+ * 
+ * v1.9 Changes:
+ * - Reports files named in PROGRESS.md, relatedFiles and item notes that no
+ *   longer exist, with the new path when git saw a rename
+ *   (checkFileReferences, lib/file-references.js)
+ * - Emits the Stop decision (decision/reason/systemMessage) itself from the
+ *   stopBlockOn rules (lib/stop-decision.js), so the prompt hook is only
+ *   needed for ambiguous cases; the full summary goes to
+ *   .context-state/last-stop.json. Does nothing when the config disables
+ *   the plugin; a missing PROGRESS.md blocks only with requireProgressFile
+ * - Lists each subagent's files, edit count, type and summary (subagents;
+ *   recorded by subagent-stop.js)
+ * 
+ * v1.8 Changes:
+ * - Config loaded by the shared loader (lib/config.js)
+ * - Layered config: ~/.claude, project, .claude/context-sync.local.json and
+ *   CONTEXT_SYNC_* environment variables over the plugin defaults
+ * - Monorepos: validates the nearest context root (lib/workspace.js) and
+ *   lists modified files by owning package when other packages were touched
+ * 
+ * v1.7 Changes:
+ * - Sections checked with the PROGRESS.md parser (lib/progress-file.js);
+ *   a verified item gets its Recent Work entry (autoUpdateProgress)
+ * - Required sections, aliases and repair templates from progressSections
+ *   (lib/progress-sections.js); the summary lists sectionsRequired
+ * 
+ * v1.6 Changes:
+ * - snapshotMode: outside git, reports files changed since the session
+ *   started (content hashes) in place of uncommitted changes
+ * 
+ * v1.5 Changes:
+ * - Appends the Stop outcome (work item, verification, files) to the session
+ *   ledger; completedSessions is derived from the ledger
+ * - worktreeIsolation: reads plans from the main worktree and verifies the
+ *   item isolated on the current branch
+ * - Lists each work item's commits and files (Work-Item trailer) and flags
+ *   this session's commits that lack the trailer
+ * 
+ * v1.4 Changes:
+ * - Verification runs asynchronously in parallel, honouring per-command
+ *   timeout, cwd, env and retries, within the Stop hook time budget;
+ *   commands cut by the budget are reported as not run, not failed
+ * - Verification runs recorded in history; failures marked "known flaky",
+ *   "first run", "never passed", "new regression" or "still failing"
+ * 
+ * v1.3 Changes:
+ * - Finds the in-progress work item across all feature plans in .claude/features/
+ * - Reports every open feature in the summary
+ * - Reports feature plan schema errors with JSON paths
+ * - Reports dependency cycles, unknown IDs and permanently blocked items
  * 
  * v1.2 Changes:
  * - Added feature_list.json validation
@@ -20,22 +70,74 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-
-const projectRoot = process.cwd();
+const {
+  loadFeatures,
+  getActiveSlug,
+  getCurrentWorkItem,
+  getNextWorkItem,
+  getFeatureProgress,
+  getItems,
+  isOpenFeature,
+  getInvalidFeatures
+} = require('./lib/features');
+const { loadConfig } = require('./lib/config');
+const { formatError } = require('./lib/schema');
+const {
+  analyzeDependencies,
+  explainIneligible,
+  describeProblems
+} = require('./lib/dependency-graph');
+const { runVerifications, getTimeBudget } = require('./lib/verification');
+const {
+  loadHistory,
+  recordRuns,
+  annotateFailures,
+  formatClassification
+} = require('./lib/verification-history');
+const { git, isGitRepo, getHead } = require('./lib/git');
+const { transitionWorkItem } = require('./lib/work-items');
+const {
+  appendEvent,
+  loadSessions,
+  getSession,
+  countFeatureSessions
+} = require('./lib/session-ledger');
+const {
+  formatTrailer,
+  getCommits,
+  getSessionCommits,
+  groupByWorkItem,
+  findUntagged,
+  describeCommit
+} = require('./lib/commits');
+const { getPlanDir, getSessionWorkItem, getNextIsolationItem } = require('./lib/worktree');
+const { rankFiles, groupByPackage, rollUpSubagents, listSubagents } = require('./lib/modifications');
+const { checkSections, recordCompletedItem, updateProgress } = require('./lib/progress-file');
+const {
+  loadSections,
+  getRequiredSections,
+  getAliases,
+  generateRepairTemplate
+} = require('./lib/progress-sections');
+const {
+  SESSION_START,
+  loadIgnorePatterns,
+  takeContentSnapshot,
+  diffContentSnapshots,
+  formatChanges,
+  loadContentSnapshot
+} = require('./lib/content-snapshot');
+const { findContextRoot, findWorkspaceRoot } = require('./lib/workspace');
+const { collectReferences, checkReferences, describeReference } = require('./lib/file-references');
+const { decideStop } = require('./lib/stop-decision');
+const { writeJson } = require('./lib/state-store');
+
+const projectRoot = findContextRoot();
 const CLAUDE_DIR = path.join(projectRoot, '.claude');
 const PROGRESS_FILE = path.join(CLAUDE_DIR, 'PROGRESS.md');
-const FEATURE_LIST_FILE = path.join(CLAUDE_DIR, 'feature_list.json');
 const STATE_DIR = path.join(CLAUDE_DIR, '.context-state');
 const MODIFICATIONS_FILE = path.join(STATE_DIR, 'modifications.json');
-const CONFIG_FILE = path.join(CLAUDE_DIR, 'context-sync.json');
-
-// Required sections in PROGRESS.md
-const REQUIRED_SECTIONS = [
-  'Current State',
-  'Recent Work',
-  'Next Steps'
-];
+const STOP_SUMMARY_FILE = path.join(STATE_DIR, 'last-stop.json');
 
 // Read hook input from stdin
 let hookInput = {};
@@ -48,73 +150,6 @@ try {
   // Continue without input
 }
 
-/**
- * Load plugin configuration
- */
-function loadConfig() {
-  const defaults = {
-    enabled: true,
-    verificationTimeout: 60,
-    autoUpdateFeatureList: true,
-    requireVerificationPass: true
-  };
-
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const userConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-      return { ...defaults, ...userConfig };
-    }
-  } catch (e) {
-    // Use defaults
-  }
-
-  return defaults;
-}
-
-/**
- * Check if we're in a git repository
- */
-function isGitRepo() {
-  try {
-    execSync('git rev-parse --git-dir', {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: 2000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-/**
- * Check which required sections exist in PROGRESS.md
- */
-function checkSections(content) {
-  const found = [];
-  const missing = [];
-  
-  for (const section of REQUIRED_SECTIONS) {
-    // Look for markdown headers with this section name
-    const patterns = [
-      new RegExp(`^##\\s+${section}`, 'mi'),
-      new RegExp(`^###\\s+${section}`, 'mi'),
-      new RegExp(`^#\\s+${section}`, 'mi'),
-      new RegExp(`\\*\\*${section}\\*\\*`, 'i')
-    ];
-    
-    const exists = patterns.some(p => p.test(content));
-    if (exists) {
-      found.push(section);
-    } else {
-      missing.push(section);
-    }
-  }
-  
-  return { found, missing };
-}
-
 /**
  * Get PROGRESS.md last modified time
  */
@@ -134,46 +169,42 @@ function getProgressModTime() {
  * Count commits since PROGRESS.md was last modified
  */
 function getCommitsSinceProgress() {
-  if (!isGitRepo()) return null;
+  if (!isGitRepo(projectRoot)) return null;
   
   const progressModTime = getProgressModTime();
   if (!progressModTime) return null;
   
-  try {
-    const isoTime = progressModTime.toISOString();
-    const commits = execSync(`git log --oneline --since="${isoTime}"`, {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: 5000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    }).trim();
-    
-    if (!commits) return 0;
-    return commits.split('\n').length;
-  } catch (e) {
-    return null;
-  }
+  const commits = git(['log', '--oneline', `--since=${progressModTime.toISOString()}`], projectRoot);
+  if (commits === null) return null;
+  return commits ? commits.split('\n').length : 0;
 }
 
 /**
  * Get uncommitted changes count
  */
 function getUncommittedCount() {
-  if (!isGitRepo()) return null;
+  if (!isGitRepo(projectRoot)) return null;
   
-  try {
-    const status = execSync('git status --porcelain', {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: 5000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    }).trim();
-    
-    if (!status) return 0;
-    return status.split('\n').length;
-  } catch (e) {
-    return null;
-  }
+  const status = git(['status', '--porcelain'], projectRoot);
+  if (status === null) return null;
+  return status ? status.split('\n').length : 0;
+}
+
+/**
+ * Snapshot mode outside git: files changed since this session started,
+ * the equivalent of uncommitted changes
+ */
+function getSnapshotChanges(config, sessionId) {
+  if (!config.snapshotMode || isGitRepo(projectRoot)) return null;
+
+  const start = loadContentSnapshot(STATE_DIR, SESSION_START);
+  if (!start || (sessionId && start.sessionId && start.sessionId !== sessionId)) return null;
+
+  const now = takeContentSnapshot(projectRoot, {
+    ignore: loadIgnorePatterns(projectRoot, config.snapshotIgnore),
+    previous: start
+  });
+  return diffContentSnapshots(start, now);
 }
 
 /**
@@ -189,6 +220,8 @@ function getSessionModifications() {
       if (sessionId && mods.sessionId && mods.sessionId !== sessionId) {
         return { files: [], count: 0 };
       }
+      // Count the edits of subagents still running or never stopped
+      rollUpSubagents(mods);
       return mods;
     }
   } catch (e) {
@@ -198,123 +231,26 @@ function getSessionModifications() {
 }
 
 /**
- * Generate repair template for missing sections
- */
-function generateRepairTemplate(missing) {
-  const templates = {
-    'Current State': `## Current State
-
-**Status**: [Working | Partially Working | Broken]
-
-[Describe current project state]
-`,
-    'Recent Work': `## Recent Work
-
-### ${new Date().toISOString().split('T')[0]} - [Summary]
-- [What was done]
-`,
-    'Next Steps': `## Next Steps
-
-1. [Next priority task]
-`
-  };
-  
-  return missing.map(s => templates[s]).join('\n');
-}
-
-/**
- * Load feature_list.json
- */
-function loadFeatureList() {
-  try {
-    if (fs.existsSync(FEATURE_LIST_FILE)) {
-      return JSON.parse(fs.readFileSync(FEATURE_LIST_FILE, 'utf8'));
-    }
-  } catch (e) {
-    // Return null if invalid
-  }
-  return null;
-}
-
-/**
- * Save feature_list.json
- */
-function saveFeatureList(featureList) {
-  try {
-    fs.writeFileSync(FEATURE_LIST_FILE, JSON.stringify(featureList, null, 2), 'utf8');
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-/**
- * Get current in-progress work item
- */
-function getCurrentWorkItem(featureList) {
-  if (!featureList || !featureList.items) return null;
-  return featureList.items.find(item => item.status === 'in-progress');
-}
-
-/**
- * Run a single verification command
+ * Apply a deterministic PROGRESS.md edit (autoUpdateProgress); edit(doc)
+ * returns a description of the change, or a falsy value when none was made
  */
-function runVerification(verification, timeout = 60) {
-  const result = {
-    command: verification.command,
-    description: verification.description || verification.command,
-    passed: false,
-    output: '',
-    error: null,
-    duration: 0
-  };
-  
-  const startTime = Date.now();
-  
+function recordProgressEdit(validation, config, edit) {
+  if (!config.autoUpdateProgress || !validation.progressExists) return;
   try {
-    const output = execSync(verification.command, {
-      cwd: projectRoot,
-      encoding: 'utf8',
-      timeout: timeout * 1000,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    result.output = output.substring(0, 1000); // Limit output size
-    result.duration = Date.now() - startTime;
-    
-    const expectedExit = verification.expectedExitCode || 0;
-    const expectedOutput = verification.expectedOutput;
-    
-    // Check output pattern if specified
-    if (expectedOutput) {
-      const pattern = new RegExp(expectedOutput);
-      if (!pattern.test(output)) {
-        result.error = `Output did not match pattern: ${expectedOutput}`;
-        return result;
-      }
-    }
-    
-    result.passed = true;
-    return result;
+    let description = null;
+    updateProgress(PROGRESS_FILE, doc => {
+      description = edit(doc);
+    }, { aliases: getAliases(loadSections(config)) });
+    if (description) validation.progressEdits.push(description);
   } catch (e) {
-    result.duration = Date.now() - startTime;
-    result.error = e.message || 'Command failed';
-    result.output = (e.stdout || '') + (e.stderr || '');
-    
-    const expectedExit = verification.expectedExitCode || 0;
-    if (e.status === expectedExit) {
-      result.passed = true;
-      result.error = null;
-    }
-    
-    return result;
+    // Leave the edit to the prompt
   }
 }
 
 /**
  * Run all verification commands for a work item
  */
-function runWorkItemVerification(workItem, config) {
+async function runWorkItemVerification(workItem, config) {
   if (!workItem || !workItem.verification || workItem.verification.length === 0) {
     return {
       itemId: workItem?.id,
@@ -333,11 +269,12 @@ function runWorkItemVerification(workItem, config) {
     requiredPassed: false
   };
   
-  for (const verification of workItem.verification) {
-    const testResult = runVerification(verification, config.verificationTimeout);
-    testResult.optional = verification.optional || false;
-    results.tests.push(testResult);
-  }
+  results.tests = await runVerifications(workItem.verification, {
+    projectRoot,
+    defaultTimeout: config.verificationTimeout,
+    concurrency: config.verificationConcurrency,
+    budget: getTimeBudget(config.verificationBudget, 'Stop', 'validate-progress.js')
+  });
   
   // Check if all tests passed
   results.allPassed = results.tests.every(t => t.passed);
@@ -346,37 +283,41 @@ function runWorkItemVerification(workItem, config) {
   results.requiredPassed = results.tests
     .filter(t => !t.optional)
     .every(t => t.passed);
+
+  // Commands the time budget cut off neither pass nor fail
+  results.notRun = results.tests.filter(t => t.skipped).length;
   
   return results;
 }
 
+/**
+ * Check if a required command ran and failed (not just cut off by the budget)
+ */
+function hasFailedTests(results) {
+  return (results.tests || []).some(t => !t.passed && !t.skipped && !t.optional);
+}
+
 /**
  * Update work item status based on verification results
  */
-function updateWorkItemStatus(featureList, itemId, verificationResults, sessionId, config) {
+function updateWorkItemStatus(feature, itemId, verificationResults, sessionId, config) {
   if (!config.autoUpdateFeatureList) return null;
+  const featureList = feature && feature.featureList;
   if (!featureList || !featureList.items) return null;
   
-  const item = featureList.items.find(i => i.id === itemId);
+  const item = getItems(featureList).find(i => i.id === itemId);
   if (!item) return null;
   
   if (verificationResults.requiredPassed) {
-    item.status = 'complete';
-    item.completedAt = new Date().toISOString();
-    item.sessionId = sessionId;
-    
-    // Update feature status if all items complete
-    const allComplete = featureList.items.every(i => i.status === 'complete');
-    if (allComplete) {
-      featureList.status = 'complete';
+    try {
+      transitionWorkItem(feature, item, 'complete', {
+        sessionId,
+        completedSessions: countFeatureSessions(loadSessions(STATE_DIR), feature.slug, sessionId)
+      });
+      return 'complete';
+    } catch (e) {
+      return null;
     }
-    
-    // Increment completed sessions count
-    featureList.completedSessions = (featureList.completedSessions || 0) + 1;
-    featureList.updated = new Date().toISOString();
-    
-    saveFeatureList(featureList);
-    return 'complete';
   }
   
   return null;
@@ -385,27 +326,44 @@ function updateWorkItemStatus(featureList, itemId, verificationResults, sessionI
 /**
  * Main
  */
-function main() {
-  const config = loadConfig();
+async function main() {
+  const config = loadConfig(projectRoot);
+  if (!config.enabled) {
+    process.exit(0);
+  }
+
   const sessionId = hookInput.session_id || null;
+  const sections = loadSections(config);
   
   const validation = {
     progressExists: false,
+    sectionsRequired: getRequiredSections(sections),
     sectionsFound: [],
     sectionsMissing: [],
     commitsSinceUpdate: null,
     uncommittedChanges: null,
+    snapshotChanges: null,
     sessionModifications: 0,
     modifiedFiles: [],
+    modifiedPackages: null,
+    subagents: [],
+    staleReferences: [],
     issues: [],
     canAutoRepair: false,
     repairTemplate: null,
     // New: feature list validation
     featureListExists: false,
     featureStatus: null,
+    activeFeature: null,
+    openFeatures: [],
+    schemaErrors: [],
+    dependencyGraphs: [],
+    itemCommits: {},
+    untaggedCommits: [],
     currentWorkItem: null,
     verificationResults: null,
-    workItemUpdated: null
+    workItemUpdated: null,
+    progressEdits: []
   };
 
   // Check if PROGRESS.md exists
@@ -413,7 +371,7 @@ function main() {
     validation.progressExists = true;
     
     const content = fs.readFileSync(PROGRESS_FILE, 'utf8');
-    const { found, missing } = checkSections(content);
+    const { found, missing } = checkSections(content, validation.sectionsRequired, getAliases(sections));
     
     validation.sectionsFound = found;
     validation.sectionsMissing = missing;
@@ -421,15 +379,18 @@ function main() {
     if (missing.length > 0) {
       validation.issues.push(`Missing sections: ${missing.join(', ')}`);
       validation.canAutoRepair = true;
-      validation.repairTemplate = generateRepairTemplate(missing);
+      validation.repairTemplate = generateRepairTemplate(sections, missing);
     }
   } else {
-    validation.issues.push('PROGRESS.md does not exist');
-    validation.sectionsMissing = REQUIRED_SECTIONS;
+    // Only a project that requires PROGRESS.md is held to it
+    validation.issues.push(config.requireProgressFile
+      ? 'PROGRESS.md does not exist'
+      : 'No PROGRESS.md yet (requireProgressFile is off)');
+    validation.sectionsMissing = validation.sectionsRequired;
     validation.canAutoRepair = true;
     validation.repairTemplate = `# Project Progress
 
-${generateRepairTemplate(REQUIRED_SECTIONS)}`;
+${generateRepairTemplate(sections, validation.sectionsRequired)}`;
   }
 
   // Git-based checks
@@ -449,41 +410,163 @@ ${generateRepairTemplate(REQUIRED_SECTIONS)}`;
     }
   }
 
+  // Outside git, snapshot mode compares file hashes with the session start
+  const snapshotChanges = getSnapshotChanges(config, sessionId);
+  if (snapshotChanges) {
+    validation.snapshotChanges = snapshotChanges;
+    const progressModTime = getProgressModTime();
+    if (snapshotChanges.count > 0 && validation.progressExists &&
+        progressModTime && progressModTime < new Date(snapshotChanges.since)) {
+      validation.issues.push(
+        `${snapshotChanges.count} file(s) changed this session (snapshot) but PROGRESS.md not updated`
+      );
+    }
+  }
+
   // Session modifications
   const mods = getSessionModifications();
   validation.sessionModifications = mods.count || 0;
-  validation.modifiedFiles = mods.files || [];
+  validation.modifiedFiles = rankFiles(mods).map(entry => entry.file);
   
+  // Files owned by other monorepo packages belong in their own PROGRESS.md
+  const workspaceRoot = findWorkspaceRoot(projectRoot);
+  const ownPackage = path.relative(workspaceRoot, projectRoot) || '.';
+  const packageGroups = groupByPackage(mods, ownPackage);
+  if (packageGroups.some(group => group.package !== ownPackage)) {
+    validation.modifiedPackages = packageGroups.map(group => ({
+      package: group.package,
+      progressFile: path.relative(projectRoot, path.join(workspaceRoot, group.package, '.claude', 'PROGRESS.md')),
+      count: group.entries.length,
+      files: group.entries.slice(0, 10).map(entry => entry.file)
+    }));
+  }
+  
+  // Per-subagent contributions, already included in the session's files
+  validation.subagents = listSubagents(mods).map(entry => ({
+    agentId: entry.agentId,
+    agentType: entry.agentType,
+    summary: entry.summary,
+    running: entry.running,
+    count: entry.count,
+    files: entry.entries.slice(0, 10).map(file => file.file)
+  }));
+
   if (mods.count > 0 && !validation.progressExists) {
     validation.issues.push(`${mods.count} file modifications this session but no PROGRESS.md`);
   }
 
   // Feature list validation and verification
-  const featureList = loadFeatureList();
+  // Under worktree isolation, plans live in the main worktree and each
+  // worktree verifies only the item isolated on its branch
+  const isolation = config.worktreeIsolation && isGitRepo(projectRoot);
+  const planDir = getPlanDir(projectRoot, isolation);
+  const features = loadFeatures(planDir);
+  const activeSlug = getActiveSlug(planDir);
   
-  if (featureList) {
+  if (features.length > 0) {
     validation.featureListExists = true;
-    validation.featureStatus = featureList.status;
+    validation.openFeatures = features.filter(isOpenFeature).map(f => ({
+      slug: f.slug,
+      feature: f.featureList.feature,
+      status: f.featureList.status,
+      progress: getFeatureProgress(f.featureList)
+    }));
+    
+    // Dependency graph analysis for every open feature
+    for (const feature of features.filter(isOpenFeature)) {
+      const graph = analyzeDependencies(getItems(feature.featureList));
+      validation.dependencyGraphs.push({
+        slug: feature.slug,
+        order: graph.order,
+        criticalPath: graph.criticalPath.path,
+        cycles: graph.cycles,
+        dangling: graph.dangling,
+        permanentlyBlocked: graph.permanentlyBlocked
+      });
+      for (const problem of describeProblems(graph)) {
+        validation.issues.push(`Feature ${feature.slug}: ${problem}`);
+      }
+    }
+    
+    // Schema validation: malformed plans must not look like missing ones
+    for (const feature of getInvalidFeatures(features)) {
+      const relativeFile = path.relative(projectRoot, feature.file);
+      validation.schemaErrors.push({
+        file: relativeFile,
+        errors: feature.errors.map(formatError)
+      });
+      validation.issues.push(
+        `Feature plan ${relativeFile} has ${feature.errors.length} schema error(s): ${formatError(feature.errors[0])}`
+      );
+    }
+    
+    // Check for in-progress work item across every open feature
+    const current = isolation
+      ? getSessionWorkItem(features, activeSlug, projectRoot)
+      : getCurrentWorkItem(features, activeSlug);
+    const currentItem = current ? current.item : null;
+    const featureList = current ? current.feature.featureList : null;
     
-    // Check for in-progress work item
-    const currentItem = getCurrentWorkItem(featureList);
+    if (current) {
+      validation.activeFeature = current.feature.slug;
+      validation.featureStatus = featureList.status;
+    }
+    
+    // Commits linked to open items through their Work-Item trailer
+    const commits = isGitRepo(projectRoot) ? (getCommits(projectRoot) || []) : [];
+    const groups = groupByWorkItem(commits);
+    for (const feature of features.filter(isOpenFeature)) {
+      for (const item of getItems(feature.featureList)) {
+        const group = groups.get(item.id);
+        if (!group) continue;
+        validation.itemCommits[item.id] = {
+          commits: group.commits.map(describeCommit),
+          files: group.files
+        };
+      }
+    }
     
     if (currentItem) {
       validation.currentWorkItem = {
+        feature: current.feature.slug,
         id: currentItem.id,
         description: currentItem.description,
         hasVerification: !!(currentItem.verification && currentItem.verification.length > 0)
       };
       
+      // Commits this session should name the in-progress item
+      if (currentItem.status === 'in-progress' && isGitRepo(projectRoot)) {
+        const untagged = findUntagged(getSessionCommits(projectRoot, getSession(STATE_DIR, sessionId)));
+        validation.untaggedCommits = untagged.map(describeCommit);
+        if (untagged.length > 0) {
+          validation.issues.push(
+            `${untagged.length} commit(s) this session lack a "${formatTrailer(currentItem.id)}" trailer: ` +
+            validation.untaggedCommits.join(', ')
+          );
+        }
+      }
+      
       // Run verification commands
-      const verificationResults = runWorkItemVerification(currentItem, config);
+      const verificationResults = await runWorkItemVerification(currentItem, config);
       validation.verificationResults = verificationResults;
       
+      // Classify failures against earlier runs, then record this one
+      if (verificationResults.hasVerification) {
+        annotateFailures(loadHistory(STATE_DIR), currentItem.id, verificationResults.tests);
+        recordRuns(STATE_DIR, {
+          source: 'stop',
+          feature: current.feature.slug,
+          itemId: currentItem.id,
+          sessionId,
+          gitHead: getHead(projectRoot)
+        }, verificationResults.tests);
+      }
+      
       if (verificationResults.hasVerification && !verificationResults.skipped) {
         if (verificationResults.requiredPassed) {
           // All required tests passed - can mark complete
           const updateResult = updateWorkItemStatus(
-            featureList, 
+            current.feature, 
             currentItem.id, 
             verificationResults, 
             sessionId, 
@@ -494,17 +577,29 @@ ${generateRepairTemplate(REQUIRED_SECTIONS)}`;
           if (updateResult === 'complete') {
             // Not an issue, but inform the LLM
             validation.issues.push(`Work item ${currentItem.id} verified and marked complete`);
+            recordProgressEdit(validation, config, doc => recordCompletedItem(doc, currentItem) &&
+              `Recent Work: "Completed ${currentItem.id}: ${currentItem.description}"`);
           }
         } else {
           // Some required tests failed - block session end if configured
-          const failedTests = verificationResults.tests.filter(t => !t.passed && !t.optional);
-          const failedDescriptions = failedTests.map(t => t.description).join(', ');
+          const failedTests = verificationResults.tests.filter(t => !t.passed && !t.skipped && !t.optional);
+          const failedDescriptions = failedTests
+            .map(t => t.history ? `${t.description} (${formatClassification(t.history)})` : t.description)
+            .join(', ');
           
-          if (config.requireVerificationPass) {
+          if (config.requireVerificationPass && failedTests.length > 0) {
             validation.issues.push(
               `Work item ${currentItem.id} verification FAILED: ${failedDescriptions}`
             );
           }
+
+          // Required commands the budget cut off: not a failure, just unfinished
+          const notRunTests = verificationResults.tests.filter(t => t.skipped && !t.optional);
+          if (notRunTests.length > 0) {
+            validation.issues.push(
+              `Work item ${currentItem.id} verification incomplete: ${notRunTests.map(t => t.description).join(', ')} not run (budget exhausted)`
+            );
+          }
         }
       } else if (!verificationResults.hasVerification) {
         // No verification commands defined - warn but don't block
@@ -512,17 +607,50 @@ ${generateRepairTemplate(REQUIRED_SECTIONS)}`;
           `Work item ${currentItem.id} has no verification commands defined`
         );
       }
-    } else if (featureList.status === 'in-progress') {
+    } else {
       // Feature in progress but no item marked in-progress
-      const pendingItems = featureList.items.filter(i => i.status === 'pending');
-      if (pendingItems.length > 0) {
+      const next = isolation
+        ? getNextIsolationItem(features, activeSlug, projectRoot)
+        : getNextWorkItem(features, activeSlug);
+      if (next && next.feature.featureList.status === 'in-progress') {
+        validation.activeFeature = next.feature.slug;
+        validation.featureStatus = next.feature.featureList.status;
         validation.issues.push(
-          `Feature in progress but no work item is in-progress. Next: ${pendingItems[0].id}`
+          `Feature ${next.feature.slug} in progress but no work item is in-progress. Next: ${next.item.id}`
         );
+      } else if (!next) {
+        // Nothing eligible: say why each pending item is waiting
+        for (const feature of features.filter(isOpenFeature)) {
+          const graph = analyzeDependencies(getItems(feature.featureList));
+          for (const item of getItems(feature.featureList).filter(i => i.status === 'pending')) {
+            validation.issues.push(
+              `Feature ${feature.slug}: ${item.id} is not eligible: ${explainIneligible(graph, item.id).join('; ')}`
+            );
+          }
+        }
       }
     }
   }
 
+  // Files named in PROGRESS.md and open plans that no longer exist
+  if (config.checkFileReferences) {
+    const bases = [...new Set([projectRoot, findWorkspaceRoot(projectRoot)])];
+    const references = collectReferences({
+      progress: validation.progressExists ? fs.readFileSync(PROGRESS_FILE, 'utf8') : null,
+      aliases: getAliases(sections),
+      features,
+      bases,
+      claudeDir: planDir
+    });
+    validation.staleReferences = checkReferences(references, bases);
+    if (validation.staleReferences.length > 0) {
+      validation.issues.push(
+        `${validation.staleReferences.length} file reference(s) in PROGRESS.md or feature plans no longer exist: ` +
+        validation.staleReferences.slice(0, 5).map(describeReference).join('; ')
+      );
+    }
+  }
+
   // Output validation summary for the Stop hook
   const summary = {
     valid: validation.issues.length === 0 || 
@@ -530,25 +658,48 @@ ${generateRepairTemplate(REQUIRED_SECTIONS)}`;
     issues: validation.issues,
     details: {
       progressExists: validation.progressExists,
+      sectionsRequired: validation.sectionsRequired,
       sectionsPresent: validation.sectionsFound,
       sectionsMissing: validation.sectionsMissing,
       commitsSinceUpdate: validation.commitsSinceUpdate,
       uncommittedChanges: validation.uncommittedChanges,
+      snapshotChanges: validation.snapshotChanges ? {
+        since: validation.snapshotChanges.since,
+        added: validation.snapshotChanges.added.length,
+        modified: validation.snapshotChanges.modified.length,
+        deleted: validation.snapshotChanges.deleted.length,
+        files: formatChanges(validation.snapshotChanges, 10)
+      } : null,
       filesModifiedThisSession: validation.modifiedFiles.length,
-      modifiedFiles: validation.modifiedFiles.slice(0, 10), // Limit for context size
+      modifiedFiles: validation.modifiedFiles.slice(0, 10), // Most changed first; limit for context size
+      modifiedPackages: validation.modifiedPackages, // Monorepo packages touched, when not only this one
+      subagents: validation.subagents, // What each subagent changed this session
+      staleReferences: validation.staleReferences, // Referenced files that no longer exist
+      progressEdits: validation.progressEdits, // Deterministic PROGRESS.md edits already made
       // Feature list details
       featureList: validation.featureListExists ? {
+        activeFeature: validation.activeFeature,
         status: validation.featureStatus,
+        openFeatures: validation.openFeatures,
+        schemaErrors: validation.schemaErrors,
+        dependencyGraphs: validation.dependencyGraphs,
+        itemCommits: validation.itemCommits,
+        untaggedCommits: validation.untaggedCommits,
         currentWorkItem: validation.currentWorkItem,
         verificationResults: validation.verificationResults ? {
           itemId: validation.verificationResults.itemId,
           allPassed: validation.verificationResults.allPassed,
           requiredPassed: validation.verificationResults.requiredPassed,
+          notRun: validation.verificationResults.notRun,
           tests: validation.verificationResults.tests?.map(t => ({
             description: t.description,
             passed: t.passed,
+            skipped: t.skipped || undefined,
             optional: t.optional,
-            error: t.error
+            error: t.error,
+            duration: t.duration,
+            attempts: t.attempts,
+            history: t.history ? formatClassification(t.history) : undefined
           }))
         } : null,
         workItemUpdated: validation.workItemUpdated
@@ -560,17 +711,54 @@ ${generateRepairTemplate(REQUIRED_SECTIONS)}`;
     } : null
   };
 
-  // Output as JSON for the hook to consume
-  console.log(JSON.stringify(summary, null, 2));
-  
-  // Exit code indicates whether validation passed
-  // Consider verification failures as blocking if configured
-  const hasBlockingIssues = validation.issues.some(i => 
-    !i.includes('verified and marked complete') &&
-    (config.requireVerificationPass ? true : !i.includes('verification FAILED'))
-  );
-  
-  process.exit(hasBlockingIssues ? 1 : 0);
+  // Decide here from stopBlockOn; the prompt hook, when enabled, only
+  // judges what the rules leave open
+  let decision = decideStop(validation, config.stopBlockOn, validation.repairTemplate);
+  // The agent already had a turn to fix the same problems: let it stop
+  // rather than loop
+  const previous = hookInput.stop_hook_active ? getSession(STATE_DIR, sessionId) : null;
+  if (decision.decision === 'block' && previous && previous.lastStopBlockKey === decision.blockKey) {
+    decision = {
+      systemMessage: `Context sync: stopping with unresolved problems: ${decision.stopIssues.blocking.join('; ')}`,
+      stopIssues: decision.stopIssues
+    };
+  }
+
+  // The full summary goes to the state file; the hook output holds only
+  // the Stop hook fields
+  try {
+    writeJson(STOP_SUMMARY_FILE, { ...summary, stopIssues: decision.stopIssues, blockKey: decision.blockKey || null });
+  } catch (e) {
+    // The summary is for inspection; the decision still stands
+  }
+
+  // Record the Stop outcome in the session ledger
+  const results = validation.verificationResults;
+  appendEvent(STATE_DIR, 'stop', sessionId, {
+    workItem: validation.currentWorkItem
+      ? { feature: validation.currentWorkItem.feature, id: validation.currentWorkItem.id }
+      : null,
+    verification: results && results.hasVerification
+      ? (results.requiredPassed ? 'passed' : (hasFailedTests(results) ? 'failed' : 'not-run'))
+      : null,
+    valid: summary.valid,
+    decision: decision.decision || 'allow',
+    blockKey: decision.blockKey || null,
+    files: validation.modifiedFiles,
+    count: validation.sessionModifications
+  });
+
+  // Output as JSON for the hook to consume; exit 0 so the fields are
+  // read, and without `decision` the session stops
+  const output = {};
+  for (const field of ['decision', 'reason', 'systemMessage']) {
+    if (decision[field]) output[field] = decision[field];
+  }
+  console.log(JSON.stringify(output, null, 2));
+  process.exit(0);
 }
 
-main();
+main().catch(e => {
+  console.log(JSON.stringify({ systemMessage: `Context sync: validate-progress failed: ${e.message}` }, null, 2));
+  process.exit(0);
+});
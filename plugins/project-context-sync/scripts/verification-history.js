@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * verification-history.js
+ *
+ * Queries the verification history recorded by the Stop hook and the
+ * SessionStart smoke tests.
+ *
+ * Usage:
+ *   node verification-history.js                 Recent runs (default 20)
+ *   node verification-history.js --item item-003 Runs for one item, and when it started failing
+ *   node verification-history.js --flaky         Commands that flip between pass and fail
+ *   node verification-history.js --limit 50      Change the number of runs shown
+ *   node verification-history.js --json          Machine-readable output
+ */
+
+const path = require('path');
+const {
+  loadHistory,
+  getItemFailingSince,
+  getFlakyCommands
+} = require('./lib/verification-history');
+const { findContextRoot } = require('./lib/workspace');
+
+const projectRoot = findContextRoot();
+const STATE_DIR = path.join(projectRoot, '.claude', '.context-state');
+
+/**
+ * Parse command-line flags
+ */
+function parseArgs(argv) {
+  const args = { item: null, flaky: false, limit: 20, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--item') args.item = argv[++i];
+    else if (arg === '--flaky') args.flaky = true;
+    else if (arg === '--limit') args.limit = parseInt(argv[++i], 10) || args.limit;
+    else if (arg === '--json') args.json = true;
+  }
+  return args;
+}
+
+/**
+ * Format one history entry as a line
+ */
+function formatEntry(entry) {
+  const mark = entry.passed ? '✅' : '❌';
+  const head = entry.gitHead ? entry.gitHead.slice(0, 7) : '-------';
+  const exit = entry.timedOut ? 'timeout' : `exit ${entry.exitCode}`;
+  return `${mark} ${entry.timestamp} ${head} ${entry.itemId} ${entry.description} (${exit}, ${entry.duration}ms, ${entry.source})`;
+}
+
+/**
+ * Main
+ */
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const history = loadHistory(STATE_DIR);
+
+  if (args.flaky) {
+    const flaky = getFlakyCommands(history);
+    if (args.json) {
+      console.log(JSON.stringify(flaky, null, 2));
+    } else if (flaky.length === 0) {
+      console.log('No flaky verification commands.');
+    } else {
+      for (const entry of flaky) {
+        const rate = Math.round(entry.passRate * 100);
+        console.log(`${entry.itemId} ${entry.description}: ${entry.flips} flips in last ${entry.runs} runs, ${rate}% pass`);
+        console.log(`  ${entry.command}`);
+      }
+    }
+    process.exit(0);
+  }
+
+  const entries = (args.item ? history.filter(e => e.itemId === args.item) : history)
+    .slice(-args.limit);
+
+  if (args.json) {
+    const output = { runs: entries };
+    if (args.item) output.failingSince = getItemFailingSince(history, args.item);
+    console.log(JSON.stringify(output, null, 2));
+    process.exit(0);
+  }
+
+  if (entries.length === 0) {
+    console.log('No verification history recorded.');
+    process.exit(0);
+  }
+
+  for (const entry of entries) {
+    console.log(formatEntry(entry));
+  }
+
+  if (args.item) {
+    const since = getItemFailingSince(history, args.item);
+    console.log('');
+    console.log(since
+      ? `${args.item} failing since ${since.timestamp}${since.gitHead ? ` (${since.gitHead.slice(0, 7)})` : ''}`
+      : `${args.item} passed on its latest run`);
+  }
+
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,74 @@
+/**
+ * validate-progress.test.js
+ *
+ * Runs the Stop hook script in throwaway git repositories.
+ * Run with: node --test plugins/project-context-sync/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'validate-progress.js');
+
+/**
+ * Create a git repository with .claude/context-sync.json holding config
+ */
+function makeProject(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-sync-test-'));
+  execFileSync('git', ['init', '-q'], { cwd: dir });
+  fs.mkdirSync(path.join(dir, '.claude'));
+  fs.writeFileSync(path.join(dir, '.claude', 'context-sync.json'), JSON.stringify(config));
+  return dir;
+}
+
+/**
+ * Run the Stop hook in a project, away from the user's own config
+ */
+function runStopHook(dir) {
+  const env = { PATH: process.env.PATH, HOME: dir };
+  const result = spawnSync(process.execPath, [SCRIPT], {
+    cwd: dir,
+    env,
+    input: JSON.stringify({ session_id: 'test-session', stop_hook_active: false }),
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return {
+    status: result.status,
+    output: result.stdout.trim() ? JSON.parse(result.stdout) : null
+  };
+}
+
+test('does nothing when the plugin is disabled', (t) => {
+  const dir = makeProject({ enabled: false });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { status, output } = runStopHook(dir);
+  assert.strictEqual(status, 0);
+  assert.strictEqual(output, null);
+  assert.ok(!fs.existsSync(path.join(dir, '.claude', '.context-state', 'last-stop.json')));
+});
+
+test('mentions a missing PROGRESS.md without blocking when it is not required', (t) => {
+  const dir = makeProject({ requireProgressFile: false });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { status, output } = runStopHook(dir);
+  assert.strictEqual(status, 0);
+  assert.strictEqual(output.decision, undefined);
+  assert.match(output.systemMessage, /No PROGRESS\.md yet/);
+});
+
+test('blocks on a missing PROGRESS.md when it is required', (t) => {
+  const dir = makeProject({ requireProgressFile: true });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { status, output } = runStopHook(dir);
+  assert.strictEqual(status, 0);
+  assert.strictEqual(output.decision, 'block');
+  assert.match(output.reason, /PROGRESS\.md does not exist/);
+});
@@ -0,0 +1,38 @@
+/**
+ * verification.test.js
+ *
+ * Time budget handling of the shared verification runner.
+ * Run with: node --test plugins/project-context-sync/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runVerification } = require('../scripts/lib/verification');
+
+test('a first attempt cut off by the budget counts as not run', async () => {
+  const result = await runVerification(
+    { command: 'sleep 5', description: 'slow' },
+    { deadline: Date.now() + 500 }
+  );
+  assert.strictEqual(result.skipped, true);
+  assert.strictEqual(result.passed, false);
+  assert.match(result.error, /budget exhausted/);
+});
+
+test('a retry cut off by the budget keeps the earlier failure', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-sync-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Fails at once, then hangs on the retry
+  const result = await runVerification(
+    { command: 'if [ -f ran ]; then sleep 5; else touch ran; exit 1; fi', retries: 1 },
+    { projectRoot: dir, deadline: Date.now() + 1500 }
+  );
+  assert.ok(!result.skipped);
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.exitCode, 1);
+  assert.strictEqual(result.error, 'Exit code 1 (expected 0)');
+});